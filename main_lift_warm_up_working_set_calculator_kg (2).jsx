@@ -1,45 +1,20 @@
 import React, { useMemo, useState } from "react";
+import { parseWorkingSets, resolveWorkingSets, roundTo } from "./src/engine.js";
+import { translator } from "./src/i18n.js";
 
 // --- Helpers ---
 const clamp = (n, min, max) => Math.min(Math.max(n ?? 0, min), max);
-const roundTo = (val, step) => (isNaN(val) ? 0 : Math.round(val / step) * step);
+const { message } = translator("en");
 
-function parseScheme(input) {
-  // Accepts comma / newline separated tokens like:
-  //  "5x30" (kg), "5 x 30", "5x75%" (percent of base), "5@75%", "6x 62.5" etc.
-  // Returns array: [{ reps, raw, isPercent, value }]
-  return input
-    .split(/[\n,]+/)
-    .map((s) => s.trim())
-    .filter(Boolean)
-    .map((tok) => {
-      const m = tok.match(/^(\d+)\s*[x@]\s*(\d+(?:\.\d+)?)\s*(%)?$/i);
-      if (!m) return null;
-      const reps = parseInt(m[1], 10);
-      const num = parseFloat(m[2]);
-      const isPercent = !!m[3];
-      return { reps, value: num, isPercent, raw: tok };
-    })
-    .filter(Boolean);
-}
-
-function calcRows({
-  scheme, // parsed array
-  base, // base weight (either 1RM, TM, or top set) used when items are %
-  rounding, // e.g., 2.5
-  minLoad, // minimum load to show (>= bar weight)
-}) {
-  return scheme.map((item) => {
-    const weight = item.isPercent ? (base * item.value) / 100 : item.value;
-    const rounded = roundTo(weight, rounding);
-    return {
-      display: `${item.reps} × ${rounded.toFixed(1)} kg`,
-      reps: item.reps,
-      weight: rounded,
-      isPercent: item.isPercent,
-      raw: item.raw,
-    };
-  }).filter((r) => r.weight >= (minLoad ?? 0));
+// Engine rows plus the display string this calculator shows, and any notation errors.
+// Same notation as the main calculator: % loads come from the base, plain loads are kg.
+function calcRows({ input, base, rounding }) {
+  const parsed = parseWorkingSets(input);
+  const { sets, errors } = resolveWorkingSets(parsed.sets, { planned: null, tm: base, unit: "kg", loadOpts: { bar: 0, step: rounding, mode: "nearest" } });
+  return {
+    rows: sets.map((r) => ({ ...r, display: `${r.reps}${r.amrap ? "+" : ""} × ${r.weight.toFixed(1)} kg` })),
+    errors: [...parsed.errors, ...errors].sort((a, b) => a.pos - b.pos)
+  };
 }
 
 export default function LiftCalculator() {
@@ -54,8 +29,8 @@ export default function LiftCalculator() {
   const [trainingMaxPct, setTrainingMaxPct] = useState(90);
   const [topSet, setTopSet] = useState(60);
 
-  const [warmupInput, setWarmupInput] = useState("5x30, 4x40, 3x50");
-  const [workInput, setWorkInput] = useState("6x55, 6x60, 6x65");
+  const [warmupInput, setWarmupInput] = useState("5 @ 30, 4 @ 40, 3 @ 50");
+  const [workInput, setWorkInput] = useState("6 @ 55, 6 @ 60, 6 @ 65");
 
   const trainingMax = useMemo(() => (useOneRM ? (oneRM * trainingMaxPct) / 100 : topSet), [useOneRM, oneRM, trainingMaxPct, topSet]);
 
@@ -84,41 +59,43 @@ export default function LiftCalculator() {
     };
     const seq = styles[style] || styles["40-50-60-70"];
     const text = seq
-      .map((s) => `${s.reps}x${Math.max(0, Math.round(s.pct))}%`)
+      .map((s) => `${s.reps} @ ${Math.max(0, Math.round(s.pct))}%`)
       .join(", ");
     setWarmupInput(text);
   };
 
-  const warmParsed = useMemo(() => parseScheme(warmupInput), [warmupInput]);
-  const workParsed = useMemo(() => parseScheme(workInput), [workInput]);
-
   const baseForPercent = useMemo(() => {
     // When items are %, we use Training Max (90% of 1RM by default) OR the user-provided top set mode
     return trainingMax;
   }, [trainingMax]);
 
-  const warmRows = useMemo(
+  const { rows: warmRows, errors: warmErrors } = useMemo(
     () =>
       calcRows({
-        scheme: warmParsed,
+        input: warmupInput,
         base: baseForPercent,
         rounding,
-        minLoad: 0,
       }),
-    [warmParsed, baseForPercent, rounding]
+    [warmupInput, baseForPercent, rounding]
   );
 
-  const workRows = useMemo(
+  const { rows: workRows, errors: workErrors } = useMemo(
     () =>
       calcRows({
-        scheme: workParsed,
+        input: workInput,
         base: baseForPercent,
         rounding,
-        minLoad: 0,
       }),
-    [workParsed, baseForPercent, rounding]
+    [workInput, baseForPercent, rounding]
   );
 
+  const errorList = (errors) =>
+    errors.length > 0 && (
+      <ul className="mt-1 text-xs text-red-600">
+        {errors.map((err, i) => <li key={i}>Character {err.pos + 1}: {message(err)}</li>)}
+      </ul>
+    );
+
   // Plate math (optional, quick take)
   function plateBreakdown(total, bar = barWeight) {
     const perSide = (total - bar) / 2;
@@ -142,7 +119,7 @@ export default function LiftCalculator() {
     <div className="w-full min-h-screen bg-white text-gray-900 p-6">
       <div className="max-w-5xl mx-auto">
         <h1 className="text-2xl md:text-3xl font-semibold mb-2">Main Lift Warm‑Up & Working Set Calculator</h1>
-        <p className="text-sm text-gray-600 mb-6">Type schemes like <span className="font-mono">5x30</span> (kg) or <span className="font-mono">5x75%</span> (percent of Training Max / Top Set). Use commas or new lines. Rounds to nearest increment.</p>
+        <p className="text-sm text-gray-600 mb-6">Type sets like <span className="font-mono">5 @ 30</span> (kg), <span className="font-mono">5 @ 75%</span> (percent of Training Max / Top Set) or <span className="font-mono">3x5 @ 60</span> (three sets of 5). Use commas or new lines. Rounds to nearest increment.</p>
 
         {/* Controls */}
         <div className="grid md:grid-cols-3 gap-4 mb-6">
@@ -220,10 +197,12 @@ export default function LiftCalculator() {
               <div>
                 <label className="block text-sm font-medium mb-1">WARM‑UPS (accepts kg or %)</label>
                 <textarea rows={3} className="w-full border rounded-2xl p-2 font-mono" value={warmupInput} onChange={(e) => setWarmupInput(e.target.value)} />
+                {errorList(warmErrors)}
               </div>
               <div>
                 <label className="block text-sm font-medium mb-1">WORKING SETS (accepts kg or %)</label>
                 <textarea rows={3} className="w-full border rounded-2xl p-2 font-mono" value={workInput} onChange={(e) => setWorkInput(e.target.value)} />
+                {errorList(workErrors)}
               </div>
             </div>
           </div>
@@ -274,7 +253,7 @@ export default function LiftCalculator() {
         <div className="mt-6 text-sm text-gray-600">
           <p className="mb-2 font-medium">Notes</p>
           <ul className="list-disc pl-5 space-y-1">
-            <li>Type <span className="font-mono">reps x kg</span> (e.g., <span className="font-mono">5x30</span>) or <span className="font-mono">reps x %</span> (e.g., <span className="font-mono">5x60%</span>).</li>
+            <li>Type <span className="font-mono">reps @ kg</span> (e.g., <span className="font-mono">5 @ 30</span>) or <span className="font-mono">reps @ %</span> (e.g., <span className="font-mono">5 @ 60%</span>); <span className="font-mono">sets x reps</span> comes first (e.g., <span className="font-mono">3x5 @ 60</span>), as in the main calculator.</li>
             <li>Percent entries are taken from current <strong>TM / Top set</strong> shown above.</li>
             <li>Change rounding to match your smallest plates (e.g., 1.25 or 2.5).</li>
             <li>Per‑side and plate suggestions assume symmetric loading and include the bar.</li>
@@ -0,0 +1,5 @@
+import tailwindcss from "tailwindcss";
+
+export default {
+  plugins: [tailwindcss]
+};
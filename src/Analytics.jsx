@@ -0,0 +1,54 @@
+import React, { useMemo } from "react";
+import { FEELS } from "./engine.js";
+import { translator } from "./i18n.js";
+import { liftSeries, feltCounts, detectStall } from "./analytics.js";
+import LineChart from "./LineChart.jsx";
+
+const FELT_COLORS = { easy: "#16a34a", solid: "#2563eb", hard: "#f59e0b", missed: "#dc2626" };
+
+// Per-lift trends from the logged sessions: top set, e1RM, tonnage and how sessions felt
+export default function Analytics({ lift, sessions, unit, formula, locale }) {
+  const { t, weight, number, date } = useMemo(() => translator(locale), [locale]);
+  const series = useMemo(() => liftSeries(sessions, { unit, formula }), [sessions, unit, formula]);
+  const counts = useMemo(() => feltCounts(sessions), [sessions]);
+  const stall = useMemo(() => detectStall(sessions), [sessions]);
+  const withFelt = (key) => series.map((p) => ({ date: p.date, value: p[key], color: FELT_COLORS[p.felt] }));
+  const load = (v) => `${weight(v)} ${unit}`;
+
+  return (
+    <div className="border rounded-2xl p-3 mt-6">
+      <h3 className="font-semibold mb-2">{t("analytics.title", { lift })}</h3>
+      {stall.stalled && (
+        <div className="mb-3 p-2 rounded-xl bg-red-50 border border-red-200 text-sm text-red-700">
+          {stall.streak >= 2
+            ? t("analytics.stalledStreak", { count: stall.streak })
+            : t("analytics.stalledRecent", { bad: stall.recentBad, count: stall.window })}
+          {" "}{t("analytics.stallAdvice")}
+        </div>
+      )}
+      <LineChart title={t("analytics.top")} points={withFelt("top")} format={load} locale={locale} />
+      <LineChart title={t("analytics.e1rm")} points={withFelt("e1rm")} format={load} locale={locale} />
+      <LineChart title={t("analytics.tonnage")} points={withFelt("tonnage")} format={(v) => `${number(v, 0)} ${unit}`} locale={locale} />
+
+      <div className="text-sm font-medium mb-1">{t("analytics.felt")}</div>
+      <div className="flex h-4 rounded-full overflow-hidden mb-1">
+        {FEELS.filter((f) => counts[f]).map((f) => (
+          <div key={f} style={{ flexGrow: counts[f], background: FELT_COLORS[f] }} title={`${t(`felt.${f}`)}: ${counts[f]}`} />
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600 mb-2">
+        {FEELS.map((f) => (
+          <span key={f} className="inline-flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ background: FELT_COLORS[f] }} />
+            {t(`felt.${f}`)} {counts[f]}
+          </span>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-1" aria-label={t("analytics.feltStrip")}>
+        {series.map((p, i) => (
+          <span key={i} className="inline-block w-3 h-3 rounded-sm" style={{ background: FELT_COLORS[p.felt] ?? "#d1d5db" }} title={`${date(p.date)}: ${p.felt ? t(`felt.${p.felt}`) : "–"}`} />
+        ))}
+      </div>
+    </div>
+  );
+}
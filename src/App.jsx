@@ -1,196 +1,934 @@
-import React, { useMemo, useState, useEffect } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import { DEFAULT_PLATES, DEFAULT_COLLAR, planLoading } from "./plates.js";
+import { BAR_PROFILES, ROUNDING_STEPS, ROUNDING_MODES, roundTo } from "./equipment.js";
+import { UNIT_DEFAULTS, convertWeight, convertWeightList } from "./units.js";
+import { PERCENT_PRESETS } from "./scheme.js";
+import { formatReps, formatRest, relocalizePattern } from "./notation.js";
+import { planSession, warmupsFor, progressionStep, parseNumberList, FEELS } from "./engine.js";
+import { MAIN_LIFTS, BUILT_IN_LIFTS, loadCustomLifts, liftCatalogue, findLift, liftIncrements } from "./lifts.js";
+import { loadHistory, addSession, addSessions, deleteSession, forAthlete, sessionsForLift, latestSession } from "./history.js";
+import { loadRoster } from "./roster.js";
+import { estimate1RM, E1RM_FORMULAS } from "./oneRM.js";
+import { BLOCK_TEMPLATES, DELOAD_RULES, planBlock, feltsByWeek, loadBlock, saveBlock } from "./block.js";
+import { sessionText, copyText, downloadSessionPng } from "./exportCard.js";
+import { readShareState, encodeShareState, mergeShared, shareUrl } from "./shareState.js";
+import SessionCard from "./SessionCard.jsx";
+import WorkoutMode from "./WorkoutMode.jsx";
+import Analytics from "./Analytics.jsx";
+import RosterPanel from "./RosterPanel.jsx";
+import LiftCatalogue from "./LiftCatalogue.jsx";
+import CsvPanel from "./CsvPanel.jsx";
+import { newId } from "./storage.js";
+import { BUILT_IN_PROTOCOLS, loadCustomProtocols, saveCustomProtocol, deleteCustomProtocol, parseProtocol } from "./warmups.js";
+import { LOCALES, loadLocale, saveLocale, translator, normalizeList, relocalizeList, formatList, LOADING_ERRORS } from "./i18n.js";
 
-const BAR_KG = 20;      // default bar
-const ROUNDING = 2.5;   // fixed rounding to keep loads simple
-const roundTo = (val, step) => (isNaN(val) ? 0 : Math.round(val / step) * step);
+const roundHalf = (n) => Math.round(n * 2) / 2;
+
+// Custom "Other" lifts are tracked under their own name
+const liftLabel = (entry) => (entry.lift === "Other" ? entry.name.trim() || "Other" : entry.lift);
+
+// Typed number lists (weights, efforts, RPE targets) are in the UI language's format, see i18n.js.
+// So are working-set patterns ("1x5 @ 62,5kg"); logged sessions keep them in "." form.
+const LIST_FIELDS = ["lastWeekWeights", "lastWeekEffort", "targetRpe"];
+const PATTERN_FIELDS = ["quickRepsPattern", "percentScheme", "lastWeekReps"];
+
+// Every typed list and pattern of an entry re-typed from one language's format for another
+const relocalizeEntry = (entry, from, to) => ({
+  ...entry,
+  ...Object.fromEntries(LIST_FIELDS.map((k) => [k, relocalizeList(entry[k], from, to)])),
+  ...Object.fromEntries(PATTERN_FIELDS.map((k) => [k, relocalizePattern(entry[k], from, to)]))
+});
+
+// Pre-fills last week from the latest logged session for the entry's lift
+function withLatestSession(entry, unit, history, locale = "en") {
+  const last = latestSession(history, liftLabel(entry));
+  if (!last) return entry;
+  return {
+    ...entry,
+    quickRepsPattern: relocalizePattern(last.pattern, "en", locale),
+    felt: FEELS.includes(last.felt) ? last.felt : entry.felt,
+    lastWeekWeights: relocalizeList(convertWeightList(last.sets.map((s) => s.weight).join(", "), last.unit, unit), "en", locale)
+  };
+}
+
+// Per-lift starting point from the catalogue (see lifts.js). Increments: the lift's own table,
+// else the athlete's table for its group when their profile is in this unit, else the unit default.
+function liftDefaults(def, unit, athlete) {
+  const s = athlete?.settings;
+  const group = def?.group ?? "lower";
+  const athleteInc = s?.unit === unit && s.increments?.[group];
+  return {
+    kgInc: def?.increments?.[unit] || !athleteInc ? liftIncrements(def, unit) : { ...athleteInc },
+    barId: def?.bar ?? null,
+    warmupProtocol: def?.protocol ?? s?.warmupProtocol ?? "gym"
+  };
+}
+
+// A variation with no history of its own starts from its parent lift, e.g. front squat at 80%
+// of squat: from the parent's latest session, else its entry in today's session.
+function withParentSeed(entry, unit, history, { catalogue, entries, step, locale = "en" }) {
+  const def = findLift(liftLabel(entry), catalogue);
+  if (!def?.parent || !(def.parentPct > 0) || latestSession(history, liftLabel(entry))) return entry;
+  const last = latestSession(history, def.parent);
+  const parentEntry = entries.find((e) => liftLabel(e) === def.parent);
+  if (!last && !parentEntry) return entry;
+  const scale = (w) => roundTo((w * def.parentPct) / 100, step);
+  const weights = last
+    ? last.sets.map((x) => convertWeight(x.weight, last.unit, unit))
+    : parseNumberList(normalizeList(parentEntry.lastWeekWeights, locale));
+  return {
+    ...entry,
+    quickRepsPattern: last ? relocalizePattern(last.pattern, "en", locale) : parentEntry.quickRepsPattern,
+    lastWeekWeights: formatList(weights.map(scale), locale),
+    oneRM: parentEntry ? scale(parentEntry.oneRM) : entry.oneRM,
+    seed: { pct: def.parentPct, parent: def.parent }
+  };
+}
+
+// Lifts logged on the most recent training day, in logging order
+function lastSessionLifts(history) {
+  if (!history.length) return [];
+  const day = (h) => new Date(h.date).toDateString();
+  const latest = history.reduce((a, b) => (b.date > a.date ? b : a));
+  const sessions = history.filter((h) => day(h) === day(latest)).sort((a, b) => a.date.localeCompare(b.date));
+  return [...new Set(sessions.map((h) => h.lift))];
+}
+
+// One lift in the day's session, with its own inputs and progression rule
+function newEntry(lift, unit, history, { athlete = null, name = "", catalogue = BUILT_IN_LIFTS, entries = [], step = UNIT_DEFAULTS[unit].rounding, locale = "en" } = {}) {
+  const defaults = liftDefaults(findLift(lift === "Other" ? name : lift, catalogue), unit, athlete);
+  const entry = withLatestSession({
+    id: newId(),
+    lift,
+    name,
+    barId: defaults.barId,               // null = the session's bar
+    planMode: "lastWeek",                // lastWeek | percent
+    quickRepsPattern: "3x6",
+    lastWeekWeights: formatList([60, 62.5, 65], locale),
+    felt: "solid",                       // easy | solid | hard | missed: how last week went
+    sessionFelt: "solid",                // how today's session went, logged with it
+    progressionMode: "kg",               // kg (fixed load in current unit) | percent | rpe
+    kgInc: defaults.kgInc,
+    pctInc: { ...(athlete?.settings.pctInc ?? { easy: 5, solid: 2.5, hard: 0, missed: -2.5 }) },
+    // RPE progression: last week's reps @ effort -> e1RM -> this week's target reps @ RPE
+    lastWeekReps: "",                    // blank = same as working sets reps
+    lastWeekEffort: formatList([7, 8, 9], locale),
+    effortScale: "rpe",                  // rpe | rir
+    e1rmFormula: "epley",
+    targetRpe: "8",
+    // Percent mode (1RM -> training max -> % sets)
+    oneRM: 100,
+    trainingMaxPct: 90,
+    percentScheme: PERCENT_PRESETS[0].scheme,
+    warmupProtocol: defaults.warmupProtocol,
+    superHeavy: false,                   // adds one extra single
+    seed: null                           // { pct: 80, parent: "Squat" } when seeded from a parent lift
+  }, unit, history, locale);
+  return withParentSeed(entry, unit, history, { catalogue, entries, step, locale });
+}
+
+// An entry from a shared link, on top of a fresh one so missing or mistyped fields keep defaults.
+// `from` is the language the link's lists were typed in.
+function sharedEntry(data, unit, history, { catalogue, locale, from }) {
+  const lift = findLift(data?.lift, catalogue)?.name ?? (data?.lift === "Other" ? "Other" : "Squat");
+  const base = newEntry(lift, unit, history, { catalogue, locale });
+  const merged = { ...mergeShared(base, data), lift, barId: typeof data?.barId === "string" ? data.barId : base.barId };
+  for (const key of LIST_FIELDS) if (merged[key] !== base[key]) merged[key] = relocalizeList(merged[key], from, locale);
+  for (const key of PATTERN_FIELDS) if (merged[key] !== base[key]) merged[key] = relocalizePattern(merged[key], from, locale);
+  return merged;
+}
+
+// Engine rules for one entry
+function entryRules(entry, { wuOffset, maxJumpPct, protocols, locale }) {
+  const protocol = protocols.find((p) => p.id === entry.warmupProtocol) ?? protocols[0];
+  return {
+    planMode: entry.planMode,
+    progressionMode: entry.progressionMode,
+    kgInc: entry.kgInc,
+    pctInc: entry.pctInc,
+    lastReps: entry.lastWeekReps,
+    efforts: normalizeList(entry.lastWeekEffort, locale),
+    effortScale: entry.effortScale,
+    e1rmFormula: entry.e1rmFormula,
+    targetRpe: normalizeList(entry.targetRpe, locale),
+    oneRM: entry.oneRM,
+    trainingMaxPct: entry.trainingMaxPct,
+    warmupSteps: protocol.steps,
+    wuOffset,
+    maxJumpPct,
+    superHeavy: entry.superHeavy
+  };
+}
+
+// Working sets ([{ reps, weight, pct }]) and warm-ups for one entry
+const planLift = (entry, ctx) => planSession({
+  lift: entry.lift,
+  pattern: entry.planMode === "percent" ? entry.percentScheme : entry.quickRepsPattern,
+  lastWeights: normalizeList(entry.lastWeekWeights, ctx.locale),
+  felt: entry.felt,
+  rules: entryRules(entry, ctx),
+  equipment: ctx.equipment,
+  locale: ctx.locale
+});
+
+// Block progression follows the lift's own rule: one "solid" step per loading week,
+// and a week rated hard/missed pulls later weeks back by the difference.
+function planLiftBlock(entry, rule, baseSets, weekFelts, config, ctx) {
+  return planBlock(baseSets, {
+    ...config,
+    targetRpe: parseNumberList(normalizeList(rule.targetRpe, ctx.locale))[0] ?? 8,
+    step: (w) => progressionStep(rule, "solid", w),
+    feltStep: (felt, w) => (felt === "hard" || felt === "missed"
+      ? progressionStep(rule, felt, w) - progressionStep(rule, "solid", w)
+      : 0),
+    weekFelts,
+    loadOpts: ctx.loadOpts,
+    warmupsFor: (firstSet) => warmupsFor(firstSet, entryRules(entry, ctx), ctx.equipment)
+  });
+}
 
 export default function App() {
+  // State from a shared link / the last reload, if any (see shareState.js)
+  const [shared] = useState(() => {
+    const data = readShareState();
+    return data && UNIT_DEFAULTS[data.unit] ? data : null;
+  });
+  const initial = mergeShared({
+    unit: "kg",
+    barId: "olympic",
+    customBar: 20,
+    rounding: UNIT_DEFAULTS[shared?.unit ?? "kg"].rounding,
+    roundingMode: "nearest",
+    wuOffset: UNIT_DEFAULTS[shared?.unit ?? "kg"].wuOffset,
+    maxJumpPct: 10,
+    collar: DEFAULT_COLLAR,
+    plates: DEFAULT_PLATES[shared?.unit ?? "kg"]
+  }, shared);
+
+  // UI language; also decides how typed numbers read ("62,5" in nl/de/es)
+  const [locale, setLocale] = useState(loadLocale);
+  const tr = useMemo(() => translator(locale), [locale]);
+  const { t } = tr;
+  // Message with elements in its placeholders
+  const rich = (key, vars) => React.Children.toArray(tr.parts(key, vars));
+
   // Minimal globals
-  const [lift, setLift] = useState("Squat");
-  const [unit] = useState("kg");
-
-  // Quick mode inputs
-  const [quickRepsPattern, setQuickRepsPattern] = useState("3x6");
-  const [lastWeekWeights, setLastWeekWeights] = useState("60, 62.5, 65");
-  const [felt, setFelt] = useState("solid");               // easy | solid | hard | missed
-  const [progressionMode, setProgressionMode] = useState("kg"); // kg | percent
-
-  // Progression defaults (auto by lift)
-  const defaultKgIncrements = useMemo(
-    () => (lift === "Bench"
-      ? { easy: 2.5, solid: 1.25, hard: 0, missed: -1.25 }
-      : { easy: 5, solid: 2.5, hard: 0, missed: -2.5 }),
-    [lift]
-  );
-  const [kgInc, setKgInc] = useState(defaultKgIncrements);
-  useEffect(() => setKgInc(defaultKgIncrements), [defaultKgIncrements]);
-  const [pctInc, setPctInc] = useState({ easy: 5, solid: 2.5, hard: 0, missed: -2.5 });
+  const [unit, setUnit] = useState(initial.unit); // kg | lb
+  const unitDefaults = UNIT_DEFAULTS[unit];
+
+  // Equipment: bar profile + rounding used by every calculation below
+  const [barId, setBarId] = useState(BAR_PROFILES.some((b) => b.id === initial.barId) ? initial.barId : "olympic");
+  const [customBar, setCustomBar] = useState(initial.customBar);
+  const [rounding, setRounding] = useState(initial.rounding);
+  const [roundingMode, setRoundingMode] = useState(initial.roundingMode); // nearest | down | up
+  const barOf = (id) => (id === "custom" ? customBar : BAR_PROFILES.find((b) => b.id === id)?.[unit] ?? customBar);
+  const barWeight = barOf(barId);
+  // A lift's own bar or implement (trap bar, SSB …), else the session's
+  const entryBar = (e) => (e.barId ? barOf(e.barId) : barWeight);
+
+  // Plate inventory (count = plates owned, both sides together); collars also set the lightest loaded bar
+  const [plates, setPlates] = useState(initial.plates);
+  const [collar, setCollar] = useState(initial.collar);
+  const loadOpts = useMemo(() => ({ bar: barWeight, step: rounding, mode: roundingMode, collar }), [barWeight, rounding, roundingMode, collar]);
+  const equipment = useMemo(() => ({ unit, bar: barWeight, rounding, roundingMode, collar }), [unit, barWeight, rounding, roundingMode, collar]);
+
+  // 1RM estimate helper (percent mode)
+  const [estWeight, setEstWeight] = useState(80);
+  const [estReps, setEstReps] = useState(5);
 
   // Warm-up standard
-  const [wuOffset, setWuOffset] = useState(7.5); // last warm-up = first working - offset (5–10kg)
-  const [superHeavy, setSuperHeavy] = useState(false); // adds one extra single
-
-  function parseSetsPattern(s) {
-    const m = s.trim().match(/^(\d+)\s*[xX]\s*(\d+)$/);
-    if (m) {
-      const sets = parseInt(m[1], 10);
-      const reps = Array.from({ length: sets }, () => parseInt(m[2], 10));
-      return { sets, reps };
+  const [wuOffset, setWuOffset] = useState(initial.wuOffset); // last warm-up = first working - offset (5–10 kg / 10–20 lb)
+
+  // Guard rail: largest rise over last week for any set, in %
+  const [maxJumpPct, setMaxJumpPct] = useState(initial.maxJumpPct);
+
+  // Warm-up protocols: built-ins plus templates saved in this browser
+  const [customProtocols, setCustomProtocols] = useState(loadCustomProtocols);
+  const protocols = useMemo(() => [...BUILT_IN_PROTOCOLS, ...customProtocols], [customProtocols]);
+  const [templateName, setTemplateName] = useState("");
+  const [templateSteps, setTemplateSteps] = useState(null); // null = steps of the selected protocol
+
+  // Training block: a preview from today's plan until started, then a saved snapshot
+  const [block, setBlock] = useState(loadBlock);
+  const [blockConfig, setBlockConfig] = useState({ weeks: 4, template: "linear", deloadRule: "last", deloadPct: 85 });
+
+  // Coach mode: who today's plan is for (null = your own training)
+  const [roster, setRoster] = useState(loadRoster);
+  const [athleteId, setAthleteId] = useState(null);
+  const athlete = roster.find((a) => a.id === athleteId) ?? null;
+
+  // Session history (everyone's); the latest session for a lift pre-fills last week when it's picked
+  const [allHistory, setHistory] = useState(loadHistory);
+  const history = useMemo(() => forAthlete(allHistory, athleteId), [allHistory, athleteId]);
+
+  // Lift catalogue: built-in lifts and variations plus the ones added here
+  const [customLifts, setCustomLifts] = useState(loadCustomLifts);
+  const catalogue = useMemo(() => liftCatalogue(customLifts), [customLifts]);
+
+  // Today's session: one entry per lift, the form below edits the active one
+  const [entries, setEntries] = useState(() => {
+    const own = forAthlete(loadHistory(), null);
+    const lifts = liftCatalogue(loadCustomLifts());
+    const from = typeof shared?.locale === "string" ? shared.locale : "en";
+    const list = Array.isArray(shared?.entries) ? shared.entries.map((e) => sharedEntry(e, initial.unit, own, { catalogue: lifts, locale, from })) : [];
+    return list.length ? list : [newEntry("Squat", initial.unit, own, { catalogue: lifts, locale })];
+  });
+  const [activeId, setActiveId] = useState(() => entries[shared?.active]?.id ?? null);
+  const entry = entries.find((e) => e.id === activeId) ?? entries[0];
+  const lift = liftLabel(entry);
+  const liftHistory = useMemo(() => sessionsForLift(history, lift), [history, lift]);
+
+  const update = (patch) => setEntries((list) => list.map((e) => (e.id === entry.id ? { ...e, ...patch } : e)));
+
+  // Built-in lifts, bars and protocols show in the UI language; user-named ones as typed
+  const liftName = (label) => {
+    const def = findLift(label, catalogue);
+    if (label === "Other") return t("lifts.other");
+    return def && !def.custom ? t(`lifts.${def.id}`) : label;
+  };
+  const barName = (b) => t(`bars.${b.id}`);
+  const protocolName = (p) => (p.custom ? p.name : t(`protocols.${p.id}`));
+
+  // Re-types every list and pattern in the new language's number format
+  function changeLocale(next) {
+    setEntries(entries.map((e) => relocalizeEntry(e, locale, next)));
+    setLocale(saveLocale(next));
+  }
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  function changeLift(next) {
+    const changed = { ...entry, lift: next, seed: null, ...liftDefaults(findLift(next, catalogue), unit, athlete) };
+    const others = entries.filter((e) => e.id !== entry.id);
+    update(withParentSeed(withLatestSession(changed, unit, history, locale), unit, history, { catalogue, entries: others, step: rounding, locale }));
+  }
+
+  function addEntry() {
+    const used = entries.map((e) => e.lift);
+    const e = newEntry(MAIN_LIFTS.find((l) => !used.includes(l)) ?? "Other", unit, history, { athlete, catalogue, entries, step: rounding, locale });
+    setEntries([...entries, e]);
+    setActiveId(e.id);
+  }
+
+  function removeEntry(id) {
+    if (entries.length < 2) return;
+    setEntries(entries.filter((e) => e.id !== id));
+    if (id === entry.id) setActiveId(null);
+  }
+
+  // Switching unit converts what was typed and swaps in that unit's gym defaults
+  function changeUnit(next) {
+    if (next === unit) return;
+    const d = UNIT_DEFAULTS[next];
+    setEntries(entries.map((e) => ({
+      ...e,
+      lastWeekWeights: relocalizeList(convertWeightList(normalizeList(e.lastWeekWeights, locale), unit, next), "en", locale),
+      oneRM: roundHalf(convertWeight(e.oneRM, unit, next)),
+      kgInc: liftDefaults(findLift(liftLabel(e), catalogue), next, athlete).kgInc
+    })));
+    setCustomBar(roundHalf(convertWeight(customBar, unit, next)));
+    setEstWeight(roundHalf(convertWeight(estWeight, unit, next)));
+    setCollar(roundHalf(convertWeight(collar, unit, next)));
+    setRounding(d.rounding);
+    setWuOffset(d.wuOffset);
+    setPlates(DEFAULT_PLATES[next]);
+    setUnit(next);
+  }
+
+  // What a profile stores: equipment, warm-up preference and the progression tables in use
+  function currentSettings() {
+    const groupOf = (e) => findLift(liftLabel(e), catalogue)?.group ?? "lower";
+    const upper = entries.find((e) => groupOf(e) === "upper");
+    const lower = entries.find((e) => groupOf(e) === "lower");
+    return {
+      unit,
+      barId,
+      customBar,
+      rounding,
+      roundingMode,
+      wuOffset,
+      maxJumpPct,
+      warmupProtocol: entry.warmupProtocol,
+      increments: {
+        upper: { ...(upper?.kgInc ?? liftDefaults(findLift("Bench"), unit, athlete).kgInc) },
+        lower: { ...(lower?.kgInc ?? liftDefaults(findLift("Squat"), unit, athlete).kgInc) }
+      },
+      pctInc: { ...entry.pctInc }
+    };
+  }
+
+  // Switches who the plan is for: applies their settings and rebuilds today's lifts
+  // from their last session, each pre-filled from their history
+  function planFor(a) {
+    const s = a?.settings;
+    const u = s?.unit ?? unit;
+    if (s) {
+      if (s.unit !== unit) {
+        setEstWeight(roundHalf(convertWeight(estWeight, unit, s.unit)));
+        setCollar(roundHalf(convertWeight(collar, unit, s.unit)));
+        setPlates(DEFAULT_PLATES[s.unit]);
+      }
+      setUnit(s.unit);
+      setBarId(s.barId);
+      setCustomBar(s.customBar);
+      setRounding(s.rounding);
+      setRoundingMode(s.roundingMode);
+      setWuOffset(s.wuOffset);
+      setMaxJumpPct(s.maxJumpPct ?? 10);
     }
-    const parts = s.split(/[,-]+/).map((t) => t.trim()).filter(Boolean);
-    if (parts.every((p) => /^\d+$/.test(p))) {
-      const reps = parts.map((p) => parseInt(p, 10));
-      return { sets: reps.length, reps };
+    const scoped = forAthlete(allHistory, a?.id ?? null);
+    const labels = lastSessionLifts(scoped);
+    const list = [];
+    for (const label of labels.length ? labels : ["Squat"]) {
+      const lift = findLift(label, catalogue)?.name ?? "Other";
+      const step = s?.rounding ?? rounding;
+      list.push(newEntry(lift, u, scoped, { athlete: a, name: lift === "Other" ? label : "", catalogue, entries: list, step, locale }));
     }
-    return { sets: 0, reps: [] };
+    setAthleteId(a?.id ?? null);
+    setEntries(list);
+    setActiveId(null);
   }
 
-  const quickParsed = useMemo(() => parseSetsPattern(quickRepsPattern), [quickRepsPattern]);
-  const lastWeights = useMemo(
-    () => lastWeekWeights.split(/[\n,]+/).map((s) => parseFloat(s.trim())).filter((n) => !isNaN(n)),
-    [lastWeekWeights]
+  const plans = useMemo(
+    () => entries.map((e) => {
+      const bar = entryBar(e);
+      const plan = planLift(e, { equipment: { ...equipment, bar }, wuOffset, maxJumpPct, protocols, locale });
+      // Loading plan in lifting order: warm-ups, then working sets
+      const loading = planLoading([...plan.warmups, ...plan.workingSets].map((r) => r.weight), { bar, collar, inventory: plates });
+      return { ...plan, bar, warmupLoading: loading.slice(0, plan.warmups.length), workingLoading: loading.slice(plan.warmups.length) };
+    }),
+    [entries, equipment, wuOffset, maxJumpPct, protocols, locale, barWeight, customBar, collar, plates]
   );
+  const plan = plans[entries.indexOf(entry)];
+  const { e1rm: lastWeekE1rm, tm, workingSets, warmups: autoWarmups, warmupLoading, workingLoading } = plan;
+  const protocol = protocols.find((p) => p.id === entry.warmupProtocol) ?? protocols[0];
 
-  const suggestionDelta = useMemo(() => {
-    if (progressionMode === "kg") return kgInc[felt] ?? 0;
-    const avg = lastWeights.length ? lastWeights.reduce((a, b) => a + b, 0) / lastWeights.length : 0;
-    return roundTo((avg * (pctInc[felt] ?? 0)) / 100, ROUNDING);
-  }, [progressionMode, kgInc, pctInc, felt, lastWeights]);
-
-  const suggestedWeights = useMemo(() => {
-    const sets = quickParsed.sets || lastWeights.length;
-    const baseArr = sets
-      ? (lastWeights.length === sets ? lastWeights : Array.from({ length: sets }, (_, i) => lastWeights[i] ?? lastWeights[lastWeights.length - 1] ?? 0))
-      : lastWeights;
-    return baseArr.map((w) => roundTo((w ?? 0) + suggestionDelta, ROUNDING));
-  }, [quickParsed, lastWeights, suggestionDelta]);
-
-  const firstWorking = suggestedWeights[0] || 0;
-
-  function generateGymWarmups(firstSet, isHeavy, offsetKg) {
-    if (!firstSet) return [];
-    const offset = Math.max(5, Math.min(10, offsetKg));
-    const lastWU = roundTo(Math.max(BAR_KG, firstSet - offset), ROUNDING);
-    const s1 = roundTo(Math.max(BAR_KG, firstSet * 0.4), ROUNDING);
-    const s2 = roundTo(Math.max(BAR_KG, firstSet * 0.6), ROUNDING);
-
-    const seq = [
-      { reps: 5, weight: s1 },
-      { reps: 3, weight: s2 },
-      { reps: 1, weight: lastWU }
-    ];
-    if (isHeavy) {
-      const s3 = roundTo(Math.min(lastWU, Math.max(BAR_KG, firstSet * 0.82)), ROUNDING);
-      if (s3 < lastWU) seq.splice(2, 0, { reps: 1, weight: s3 });
-    }
-    return seq.sort((a, b) => a.weight - b.weight);
+  function saveTemplate() {
+    const steps = templateSteps ?? protocol.steps;
+    if (!templateName.trim() || !parseProtocol(steps).length) return;
+    setCustomProtocols(saveCustomProtocol(templateName, steps));
+    update({ warmupProtocol: `custom:${templateName.trim().toLowerCase()}` });
+    setTemplateName("");
+    setTemplateSteps(null);
   }
 
-  const autoWarmups = useMemo(
-    () => generateGymWarmups(firstWorking, superHeavy, wuOffset),
-    [firstWorking, superHeavy, wuOffset]
+  function deleteTemplate() {
+    setCustomProtocols(deleteCustomProtocol(protocol.id));
+    update({ warmupProtocol: "gym" });
+  }
+
+  // Entries on a deleted lift keep their numbers as an "Other" lift of the same name
+  function renameDeletedLift(def) {
+    if (findLift(def.name)) return; // a built-in of that name takes over again
+    setEntries(entries.map((e) => (e.lift === def.name ? { ...e, lift: "Other", name: def.name } : e)));
+  }
+
+  const activeBlockConfig = block ?? blockConfig;
+  const blockPlans = useMemo(
+    () => entries.map((e, i) => {
+      const snap = block?.lifts[liftLabel(e)];
+      const weekFelts = block ? feltsByWeek(sessionsForLift(history, liftLabel(e)), block.start) : {};
+      const bar = plans[i].bar;
+      const ctx = { equipment: { ...equipment, bar }, loadOpts: { ...loadOpts, bar }, wuOffset, maxJumpPct, protocols, locale };
+      return planLiftBlock(e, snap ?? e, snap?.sets ?? plans[i].workingSets, weekFelts, activeBlockConfig, ctx);
+    }),
+    [entries, block, activeBlockConfig, history, equipment, loadOpts, wuOffset, maxJumpPct, protocols, locale, plans]
   );
 
-  const header = `${lift} • ${unit.toUpperCase()}`;
+  // Snapshots each lift's week-1 sets and rule so logging sessions doesn't move the block
+  function startBlock() {
+    const lifts = {};
+    entries.forEach((e, i) => {
+      lifts[liftLabel(e)] = {
+        sets: plans[i].workingSets.map(({ reps, weight }) => ({ reps, weight })),
+        progressionMode: e.progressionMode,
+        kgInc: e.kgInc,
+        pctInc: e.pctInc,
+        targetRpe: normalizeList(e.targetRpe, locale)
+      };
+    });
+    setBlock(saveBlock({ ...blockConfig, start: new Date().toISOString(), unit, lifts }));
+  }
+
+  function setPlateCount(weight, count) {
+    setPlates(plates.map((p) => (p.weight === weight ? { ...p, count: Math.max(0, parseInt(count, 10) || 0) } : p)));
+  }
+
+  // Input echoed with a caret under each parse error
+  function renderPatternErrors(input, errors) {
+    if (!errors.length) return null;
+    return (
+      <div className="mt-1 text-xs text-red-600 font-mono overflow-x-auto">
+        {errors.map((err, i) => (
+          <div key={i} className="mb-1">
+            <div className="whitespace-pre text-gray-700">{input}</div>
+            <div className="whitespace-pre">{" ".repeat(err.pos)}^ {tr.message(err)}</div>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  // Validation messages for one input (see guards.js); `field` may be a prefix like "kgInc."
+  function renderIssues(field) {
+    const list = plan.issues.filter((i) => i.field === field || (field.endsWith(".") && i.field.startsWith(field)));
+    if (!list.length) return null;
+    return (
+      <div className="mt-1 text-xs text-red-600">
+        {list.map((i, k) => <div key={k}>{field.endsWith(".") ? `${t(`felt.${i.field.slice(field.length)}`)}: ` : ""}{tr.message(i)}</div>)}
+      </div>
+    );
+  }
+
+  const invalid = (field) => (plan.issues.some((i) => i.field === field) ? "border-red-500" : "");
+
+  function renderLoading(l) {
+    if (!l) return null;
+    if (l.error) {
+      return (
+        <div className="text-xs text-red-600 text-right">
+          {t(`plates.${LOADING_ERRORS[l.error]}`)}
+        </div>
+      );
+    }
+    return (
+      <div className="text-xs text-gray-600 text-right">
+        <div>{t("plates.perSide", { plates: l.plates.length ? l.plates.map(tr.plate).join(" · ") : t("loading.emptyBar") })}</div>
+        {(l.add.length > 0 || l.remove.length > 0) && (
+          <div className="opacity-80">
+            {l.remove.length > 0 && <span>{t("plates.strip", { plates: l.remove.map(tr.plate).join(" · ") })}</span>}
+            {l.remove.length > 0 && l.add.length > 0 && <span>  ·  </span>}
+            {l.add.length > 0 && <span>{t("plates.add", { plates: l.add.map(tr.plate).join(" · ") })}</span>}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // Logs every lift in today's session
+  function logSession() {
+    entries.forEach((e, i) => {
+      const p = plans[i];
+      if (!p.workingSets.length) return;
+      setHistory(addSession({
+        lift: liftLabel(e),
+        unit,
+        pattern: e.planMode === "lastWeek" ? relocalizePattern(e.quickRepsPattern, locale, "en") : p.workingSets.map(formatReps).join(", "),
+        sets: p.workingSets.map(({ reps, amrap, weight }) => ({ reps, amrap, weight })),
+        felt: e.sessionFelt,
+        warmups: p.warmups.map(({ reps, weight }) => ({ reps, weight })),
+        athleteId
+      }));
+    });
+  }
+
+  // Session cards for export: every lift, warm-ups then working sets, with plates
+  const today = new Date().toLocaleDateString("en-CA");
+  const cards = entries
+    .map((e, i) => ({
+      lift: liftLabel(e),
+      rows: [
+        ...plans[i].warmups.map((r, j) => ({ kind: "warmup", reps: r.reps, weight: r.weight, loading: plans[i].warmupLoading[j] })),
+        ...plans[i].workingSets.map((r, j) => ({ kind: "work", reps: r.reps, amrap: r.amrap, rest: r.rest, weight: r.weight, loading: plans[i].workingLoading[j] }))
+      ]
+    }))
+    .filter((c) => c.rows.length);
+  // Same cards with lift names in the UI language, for the screen, printout, copy and PNG
+  const shownCards = cards.map((c) => ({ ...c, lift: liftName(c.lift) }));
+  const [copied, setCopied] = useState(null);
+  const [workout, setWorkout] = useState(false);
+
+  async function copySession(markdown) {
+    try {
+      await copyText(sessionText(shownCards, { unit, date: today, locale, markdown }));
+      setCopied(t(markdown ? "export.markdownCopied" : "export.textCopied"));
+    } catch {
+      setCopied(t("export.copyFailed"));
+    }
+    setTimeout(() => setCopied(null), 2000);
+  }
+
+  // Adds imported sessions to history and pre-fills today's lifts from their latest session
+  function importSessions(sessions) {
+    const before = allHistory.length;
+    const next = addSessions(sessions.map((x) => ({ ...x, athleteId })));
+    setHistory(next);
+    const scoped = forAthlete(next, athleteId);
+    setEntries(entries.map((e) => withLatestSession(e, unit, scoped, locale)));
+    return next.length - before;
+  }
+
+  // Everything needed to rebuild this plan; kept in the URL so reloads and links restore it
+  const shareState = useMemo(() => ({
+    unit,
+    barId,
+    customBar,
+    rounding,
+    roundingMode,
+    wuOffset,
+    maxJumpPct,
+    collar,
+    plates,
+    entries: entries.map(({ id, ...e }) => e),
+    active: entries.indexOf(entry),
+    locale // the entries' lists are typed in it
+  }), [unit, barId, customBar, rounding, roundingMode, wuOffset, maxJumpPct, collar, plates, entries, entry, locale]);
+
+  useEffect(() => {
+    window.history.replaceState(null, "", `#${encodeShareState(shareState)}`);
+  }, [shareState]);
+
+  async function copyLink() {
+    try {
+      await copyText(shareUrl(shareState));
+      setCopied(t("export.linkCopied"));
+    } catch {
+      setCopied(t("export.copyFailed"));
+    }
+    setTimeout(() => setCopied(null), 2000);
+  }
+
+  const header = `${liftName(lift)} • ${unit.toUpperCase()}`;
 
   return (
-    <div className="w-full min-h-screen bg-white text-gray-900 p-6">
-      <div className="max-w-3xl mx-auto">
+    <div className="w-full min-h-screen bg-white text-gray-900 p-6 print:p-0">
+      <SessionCard cards={shownCards} unit={unit} date={today} locale={locale} />
+      {workout && <WorkoutMode cards={shownCards} unit={unit} locale={locale} onClose={() => setWorkout(false)} />}
+      <div className="max-w-3xl mx-auto print:hidden">
         <div className="flex items-center justify-between mb-3">
-          <h1 className="text-2xl md:text-3xl font-semibold brand-heading">Main Lift Warm‑Up & Working Set Calculator</h1>
-          <span className="hidden md:inline-flex px-3 py-1 rounded-full text-xs brand-chip border brand-border">Lioness Performance</span>
+          <h1 className="text-2xl md:text-3xl font-semibold brand-heading">{t("app.title")}</h1>
+          <div className="flex items-center gap-2">
+            <span className="hidden md:inline-flex px-3 py-1 rounded-full text-xs brand-chip border brand-border">Lioness Performance</span>
+            <select className="border rounded-full px-2 py-1 text-xs" aria-label={t("app.language")} value={locale} onChange={(e) => changeLocale(e.target.value)}>
+              {LOCALES.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+            </select>
+          </div>
         </div>
         <p className="text-sm text-gray-700 mb-6">
-          Paste <strong>last week’s working weights</strong>, pick how it felt → we suggest <strong>this week</strong>. Warm‑ups: <strong>3 sets</strong> (unless heavy). Last warm‑up is <strong>5–10 kg below</strong> the first working set.
+          {rich("app.intro", {
+            lastWeights: <strong>{t("app.intro.lastWeights")}</strong>,
+            thisWeek: <strong>{t("app.intro.thisWeek")}</strong>,
+            protocol: <strong>{t("app.intro.protocol")}</strong>,
+            offset: <strong>{t("app.intro.offset", { lo: unitDefaults.wuOffsetRange[0], hi: unitDefaults.wuOffsetRange[1], unit })}</strong>
+          })}
         </p>
 
+        {/* Coach mode: athlete roster */}
+        <RosterPanel
+          roster={roster}
+          athleteId={athleteId}
+          history={allHistory}
+          settings={currentSettings}
+          date={today}
+          locale={locale}
+          onPlanFor={planFor}
+          onSelect={setAthleteId}
+          onRosterChange={setRoster}
+          onHistoryChange={setHistory}
+        />
+
+        {/* Session builder: one tab per lift */}
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          {entries.map((e) => (
+            <span key={e.id} className={`inline-flex items-center rounded-full border text-sm ${e.id === entry.id ? "brand-chip brand-border" : "bg-white"}`}>
+              <button className="px-3 py-1" onClick={() => setActiveId(e.id)}>{liftName(liftLabel(e))}</button>
+              {entries.length > 1 && (
+                <button className="pr-3 text-gray-500" aria-label={t("session.remove", { lift: liftName(liftLabel(e)) })} onClick={() => removeEntry(e.id)}>×</button>
+              )}
+            </span>
+          ))}
+          <button className="px-3 py-1 rounded-full border border-dashed text-sm" onClick={addEntry}>{t("session.addLift")}</button>
+        </div>
+
         {/* Quick inputs only */}
         <div className="grid md:grid-cols-2 gap-4 mb-6">
           <div>
-            <label className="block text-sm font-medium mb-1">Lift</label>
-            <select className="w-full border rounded-2xl p-2" value={lift} onChange={(e) => setLift(e.target.value)}>
-              <option>Squat</option>
-              <option>Bench</option>
-              <option>Deadlift</option>
-              <option>Other</option>
+            <label className="block text-sm font-medium mb-1">{t("form.lift")}</label>
+            <select className="w-full border rounded-2xl p-2" value={entry.lift} onChange={(e) => changeLift(e.target.value)}>
+              {catalogue.map((l) => <option key={l.id} value={l.name}>{liftName(l.name)}</option>)}
+              <option value="Other">{t("lifts.other")}</option>
             </select>
+            {entry.lift === "Other" && (
+              <input className="w-full border rounded-2xl p-2 mt-2" placeholder={t("form.otherName")} value={entry.name} onChange={(e) => update({ name: e.target.value })} onBlur={() => update(withLatestSession(entry, unit, history, locale))} />
+            )}
+            {entry.seed && (
+              <div className="text-xs text-gray-600 mt-1">{t("form.seeded", { lift: liftName(lift), pct: entry.seed.pct, parent: liftName(entry.seed.parent) })}</div>
+            )}
           </div>
           <div>
-            <label className="block text-sm font-medium mb-1">Working sets reps</label>
-            <input className="w-full border rounded-2xl p-2 font-mono" placeholder="3x6 or 6-6-6" value={quickRepsPattern} onChange={(e) => setQuickRepsPattern(e.target.value)} />
+            <label className="block text-sm font-medium mb-1">{t("form.units")}</label>
+            <div className="flex items-center gap-4 text-sm p-2">
+              {["kg", "lb"].map((u) => (
+                <label key={u} className="flex items-center gap-2"><input type="radio" name="unit" checked={unit===u} onChange={()=>changeUnit(u)} />{u}</label>
+              ))}
+            </div>
           </div>
           <div className="md:col-span-2">
-            <label className="block text-sm font-medium mb-1">Last week weights ({unit})</label>
-            <input className="w-full border rounded-2xl p-2 font-mono" placeholder="60, 62.5, 65" value={lastWeekWeights} onChange={(e) => setLastWeekWeights(e.target.value)} />
+            <label className="block text-sm font-medium mb-1">{t("form.planFrom")}</label>
+            <div className="flex items-center gap-4 text-sm">
+              <label className="flex items-center gap-2"><input type="radio" name="planMode" checked={entry.planMode==="lastWeek"} onChange={()=>update({ planMode: "lastWeek" })} />{t("form.planLastWeek")}</label>
+              <label className="flex items-center gap-2"><input type="radio" name="planMode" checked={entry.planMode==="percent"} onChange={()=>update({ planMode: "percent" })} />{t("form.planPercent")}</label>
+            </div>
           </div>
+          {entry.planMode === "lastWeek" ? (
+            <>
+              <div>
+                <label className="block text-sm font-medium mb-1">{t("form.repsPattern")}</label>
+                <input className="w-full border rounded-2xl p-2 font-mono" placeholder={t("common.or", { a: "3x6, 6-6-6", b: "1x3 @ top, 3x5 @ -10%" })} value={entry.quickRepsPattern} onChange={(e) => update({ quickRepsPattern: e.target.value })} />
+                {renderPatternErrors(entry.quickRepsPattern, plan.errors)}
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium mb-1">{t("form.lastWeights", { unit })}</label>
+                <input className={`w-full border rounded-2xl p-2 font-mono ${invalid("lastWeights")}`} placeholder={tr.list([60, 62.5, 65])} value={entry.lastWeekWeights} onChange={(e) => update({ lastWeekWeights: e.target.value, seed: null })} />
+                {renderIssues("lastWeights")}
+              </div>
+            </>
+          ) : (
+            <>
+              <div>
+                <label className="block text-sm font-medium mb-1">{t("form.oneRm", { unit })}</label>
+                <input type="number" min={0} step={0.5} className={`w-full border rounded-2xl p-2 ${invalid("oneRM")}`} value={entry.oneRM || ""} onChange={(e) => update({ oneRM: parseFloat(e.target.value) || 0 })} />
+                {renderIssues("oneRM")}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">{t("form.tmPct")}</label>
+                <input type="number" min={50} max={100} step={1} className={`w-full border rounded-2xl p-2 ${invalid("trainingMaxPct")}`} value={Number.isFinite(entry.trainingMaxPct) ? entry.trainingMaxPct : ""} onChange={(e) => update({ trainingMaxPct: parseFloat(e.target.value) })} />
+                {renderIssues("trainingMaxPct")}
+              </div>
+              <div className="md:col-span-2 flex flex-wrap items-center gap-2 text-sm">
+                <span>{t("form.estimate")}</span>
+                <input type="number" min={0} step={0.5} className="w-20 border rounded-xl p-1" value={estWeight} onChange={(e) => setEstWeight(parseFloat(e.target.value) || 0)} />
+                <span>{unit} ×</span>
+                <input type="number" min={1} max={12} step={1} className="w-16 border rounded-xl p-1" value={estReps} onChange={(e) => setEstReps(parseInt(e.target.value, 10) || 0)} />
+                <span>{t("form.reps")}</span>
+                <button className="px-3 py-1 border rounded-full text-xs" onClick={() => update({ oneRM: roundTo(estimate1RM(estWeight, estReps), 0.5) })}>{t("form.useEstimate", { weight: tr.weight(roundTo(estimate1RM(estWeight, estReps), 0.5)), unit })}</button>
+              </div>
+              <div className="md:col-span-2">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+                  <label className="text-sm font-medium">{t("form.percentSets", { unit })}</label>
+                  <div className="flex flex-wrap gap-2">
+                    {PERCENT_PRESETS.map((p) => (
+                      <button key={p.id} onClick={() => update({ percentScheme: p.scheme })} className="px-3 py-1 border rounded-full text-xs">{t(`presets.${p.id}`)}</button>
+                    ))}
+                  </div>
+                </div>
+                <input className="w-full border rounded-2xl p-2 font-mono" placeholder={t("common.or", { a: "5x65%, 5x75%, 5+x85%", b: "3x5@80%" })} value={entry.percentScheme} onChange={(e) => update({ percentScheme: e.target.value })} />
+                {renderPatternErrors(entry.percentScheme, plan.errors)}
+                <div className="text-xs text-gray-600 mt-1">{t("form.trainingMax")} <span className="font-semibold">{tr.weight(roundTo(tm, 0.5))} {unit}</span></div>
+              </div>
+            </>
+          )}
         </div>
 
-        {/* Feel + progression */}
-        <div className="grid md:grid-cols-2 gap-4 mb-4">
+        {/* Equipment */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
           <div>
-            <label className="block text-sm font-medium mb-1">How did it feel?</label>
-            <div className="flex flex-wrap gap-3 text-sm">
-              {["easy","solid","hard","missed"].map((k) => (
-                <label key={k} className={`px-3 py-1 rounded-full cursor-pointer border ${felt===k?"brand-chip":"bg-white"}`}>
-                  <input type="radio" name="felt" className="mr-2" checked={felt===k} onChange={() => setFelt(k)} />{k}
-                </label>
+            <label className="block text-sm font-medium mb-1">{t("equipment.sessionBar")}</label>
+            <select className="w-full border rounded-2xl p-2" value={barId} onChange={(e) => setBarId(e.target.value)}>
+              {BAR_PROFILES.map((b) => (
+                <option key={b.id} value={b.id}>{b[unit] == null ? barName(b) : `${barName(b)} (${b[unit]} ${unit})`}</option>
               ))}
-            </div>
+            </select>
           </div>
           <div>
-            <label className="block text-sm font-medium mb-1">Progression rule</label>
-            <div className="flex items-center gap-4 mb-2 text-sm">
-              <label className="flex items-center gap-2"><input type="radio" checked={progressionMode==="kg"} onChange={()=>setProgressionMode("kg")} />by kg</label>
-              <label className="flex items-center gap-2"><input type="radio" checked={progressionMode==="percent"} onChange={()=>setProgressionMode("percent")} />by %</label>
+            <label className="block text-sm font-medium mb-1">{t("equipment.liftBar", { lift: liftName(lift) })}</label>
+            <select className="w-full border rounded-2xl p-2" value={entry.barId ?? ""} onChange={(e) => update({ barId: e.target.value || null })}>
+              <option value="">{t("equipment.sessionBar")}</option>
+              {BAR_PROFILES.map((b) => (
+                <option key={b.id} value={b.id}>{b[unit] == null ? barName(b) : `${barName(b)} (${b[unit]} ${unit})`}</option>
+              ))}
+            </select>
+          </div>
+          {barId === "custom" && (
+            <div>
+              <label className="block text-sm font-medium mb-1">{t("equipment.barWeight", { unit })}</label>
+              <input type="number" min={0} step={0.5} className="w-full border rounded-2xl p-2" value={customBar} onChange={(e) => setCustomBar(Math.max(0, parseFloat(e.target.value) || 0))} />
             </div>
-            {progressionMode === "kg" ? (
-              <div className="grid grid-cols-4 gap-2 text-xs">
+          )}
+          <div>
+            <label className="block text-sm font-medium mb-1">{t("equipment.rounding", { unit })}</label>
+            <select className="w-full border rounded-2xl p-2" value={rounding} onChange={(e) => setRounding(parseFloat(e.target.value))}>
+              {ROUNDING_STEPS[unit].map((r) => <option key={r} value={r}>{tr.number(r)}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">{t("equipment.round")}</label>
+            <select className="w-full border rounded-2xl p-2" value={roundingMode} onChange={(e) => setRoundingMode(e.target.value)}>
+              {ROUNDING_MODES.map((m) => <option key={m.id} value={m.id}>{t(`rounding.${m.id}`)}</option>)}
+            </select>
+          </div>
+        </div>
+
+        {/* Feel + progression */}
+        {entry.planMode === "lastWeek" && (
+          <div className="grid md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">{t("feel.title")}</label>
+              <div className="flex flex-wrap gap-3 text-sm">
                 {["easy","solid","hard","missed"].map((k) => (
-                  <div key={k}>
-                    <label className="block capitalize mb-1">{k}</label>
-                    <input type="number" step={0.25} className="w-full border rounded-xl p-1" value={kgInc[k]} onChange={(e)=>setKgInc({...kgInc, [k]: parseFloat(e.target.value)})} />
-                  </div>
+                  <label key={k} className={`px-3 py-1 rounded-full cursor-pointer border ${entry.felt===k?"brand-chip":"bg-white"}`}>
+                    <input type="radio" name="felt" className="mr-2" checked={entry.felt===k} onChange={() => update({ felt: k })} />{t(`felt.${k}`)}
+                  </label>
                 ))}
               </div>
-            ) : (
-              <div className="grid grid-cols-4 gap-2 text-xs">
-                {["easy","solid","hard","missed"].map((k) => (
-                  <div key={k}>
-                    <label className="block capitalize mb-1">{k} %</label>
-                    <input type="number" step={0.25} className="w-full border rounded-xl p-1" value={pctInc[k]} onChange={(e)=>setPctInc({...pctInc, [k]: parseFloat(e.target.value)})} />
-                  </div>
-                ))}
+              <div className="flex items-center gap-2 text-sm mt-3">
+                <span>{t("feel.capJump")}</span>
+                <input type="number" min={1} max={50} step={1} value={Number.isFinite(maxJumpPct) ? maxJumpPct : ""} onChange={(e)=>setMaxJumpPct(parseFloat(e.target.value))} className={`w-16 border rounded-xl p-1 ${invalid("maxJumpPct")}`} />
+                <span className="text-xs text-gray-600">{t("feel.capJumpHint")}</span>
               </div>
-            )}
+              {renderIssues("maxJumpPct")}
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">{t("progression.title")}</label>
+              <div className="flex items-center gap-4 mb-2 text-sm">
+                <label className="flex items-center gap-2"><input type="radio" checked={entry.progressionMode==="kg"} onChange={()=>update({ progressionMode: "kg" })} />{t("progression.by", { what: unit })}</label>
+                <label className="flex items-center gap-2"><input type="radio" checked={entry.progressionMode==="percent"} onChange={()=>update({ progressionMode: "percent" })} />{t("progression.by", { what: "%" })}</label>
+                <label className="flex items-center gap-2"><input type="radio" checked={entry.progressionMode==="rpe"} onChange={()=>update({ progressionMode: "rpe" })} />{t("progression.by", { what: "RPE" })}</label>
+              </div>
+              {entry.progressionMode === "rpe" ? (
+                <div className="grid grid-cols-2 gap-2 text-xs">
+                  <div>
+                    <label className="block mb-1">{t("rpe.lastReps")}</label>
+                    <input className={`w-full border rounded-xl p-1 font-mono ${invalid("lastReps")}`} placeholder={entry.quickRepsPattern} value={entry.lastWeekReps} onChange={(e)=>update({ lastWeekReps: e.target.value })} />
+                    {renderPatternErrors(entry.lastWeekReps, plan.lastRepsErrors)}
+                    {renderIssues("lastReps")}
+                  </div>
+                  <div>
+                    <label className="block mb-1">
+                      {t("rpe.lastWeek")}{" "}
+                      <select className="border rounded-lg" value={entry.effortScale} onChange={(e)=>update({ effortScale: e.target.value })}>
+                        <option value="rpe">RPE</option>
+                        <option value="rir">RIR</option>
+                      </select>
+                    </label>
+                    <input className={`w-full border rounded-xl p-1 font-mono ${invalid("efforts")}`} placeholder={tr.list([7, 8, 9])} value={entry.lastWeekEffort} onChange={(e)=>update({ lastWeekEffort: e.target.value })} />
+                    {renderIssues("efforts")}
+                  </div>
+                  <div>
+                    <label className="block mb-1">{t("rpe.formula")}</label>
+                    <select className="w-full border rounded-xl p-1" value={entry.e1rmFormula} onChange={(e)=>update({ e1rmFormula: e.target.value })}>
+                      {E1RM_FORMULAS.map((f) => <option key={f.id} value={f.id}>{t(`formulas.${f.id}`)}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block mb-1">{t("rpe.target")}</label>
+                    <input className={`w-full border rounded-xl p-1 font-mono ${invalid("targetRpe")}`} placeholder={t("common.or", { a: 8, b: tr.list([7, 8, 9]) })} value={entry.targetRpe} onChange={(e)=>update({ targetRpe: e.target.value })} />
+                    {renderIssues("targetRpe")}
+                  </div>
+                  <div className="col-span-2 text-gray-600">
+                    e1RM: <span className="font-semibold">{lastWeekE1rm ? `${tr.weight(roundTo(lastWeekE1rm, 0.5))} ${unit}` : "–"}</span>
+                  </div>
+                </div>
+              ) : entry.progressionMode === "kg" ? (
+                <div className="grid grid-cols-4 gap-2 text-xs">
+                  {["easy","solid","hard","missed"].map((k) => (
+                    <div key={k}>
+                      <label className="block mb-1">{t(`felt.${k}`)}</label>
+                      <input type="number" step={0.25} className={`w-full border rounded-xl p-1 ${invalid(`kgInc.${k}`)}`} value={Number.isFinite(entry.kgInc[k]) ? entry.kgInc[k] : ""} onChange={(e)=>update({ kgInc: {...entry.kgInc, [k]: parseFloat(e.target.value)} })} />
+                    </div>
+                  ))}
+                  <div className="col-span-4">{renderIssues("kgInc.")}</div>
+                </div>
+              ) : (
+                <div className="grid grid-cols-4 gap-2 text-xs">
+                  {["easy","solid","hard","missed"].map((k) => (
+                    <div key={k}>
+                      <label className="block mb-1">{t(`felt.${k}`)} %</label>
+                      <input type="number" step={0.25} className={`w-full border rounded-xl p-1 ${invalid(`pctInc.${k}`)}`} value={Number.isFinite(entry.pctInc[k]) ? entry.pctInc[k] : ""} onChange={(e)=>update({ pctInc: {...entry.pctInc, [k]: parseFloat(e.target.value)} })} />
+                    </div>
+                  ))}
+                  <div className="col-span-4">{renderIssues("pctInc.")}</div>
+                </div>
+              )}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Warm-up options */}
         <div className="flex flex-wrap items-center gap-4 mb-4">
+          <div className="flex items-center gap-2 text-sm">
+            <span>{t("warmups.protocol")}</span>
+            <select className="border rounded-xl p-1" value={protocol.id} onChange={(e)=>{ update({ warmupProtocol: e.target.value }); setTemplateSteps(null); }}>
+              {protocols.map((p) => <option key={p.id} value={p.id}>{protocolName(p)}</option>)}
+            </select>
+          </div>
           <label className="text-xs flex items-center gap-2">
-            <input type="checkbox" checked={superHeavy} onChange={(e)=>setSuperHeavy(e.target.checked)} />
-            Super heavy today (adds an extra ramp)
+            <input type="checkbox" checked={entry.superHeavy} onChange={(e)=>update({ superHeavy: e.target.checked })} />
+            {t("warmups.superHeavy")}
           </label>
           <div className="flex items-center gap-2 text-sm">
-            <span>Last warm‑up offset</span>
-            <input type="number" step={0.5} min={5} max={10} value={wuOffset} onChange={(e)=>setWuOffset(parseFloat(e.target.value)||7.5)} className="w-20 border rounded-xl p-1" />
-            <span className="text-xs text-gray-600">kg under first working set</span>
+            <span>{t("warmups.offset")}</span>
+            <input type="number" step={0.5} min={unitDefaults.wuOffsetRange[0]} max={unitDefaults.wuOffsetRange[1]} value={Number.isFinite(wuOffset) ? wuOffset : ""} onChange={(e)=>setWuOffset(parseFloat(e.target.value))} className={`w-20 border rounded-xl p-1 ${invalid("wuOffset")}`} />
+            <span className="text-xs text-gray-600">{t("warmups.offsetHint", { unit, lo: unitDefaults.wuOffsetRange[0], hi: unitDefaults.wuOffsetRange[1] })}</span>
+            {renderIssues("wuOffset")}
           </div>
         </div>
+        <details className="border rounded-2xl p-3 mb-4">
+          <summary className="text-sm font-medium cursor-pointer">{t("templates.title")}</summary>
+          <p className="text-xs text-gray-600 mt-2 mb-2">
+            {rich("templates.help", {
+              bar: <span className="font-mono">10@bar</span>,
+              pct: <span className="font-mono">5@40%</span>,
+              last: <span className="font-mono">1@last</span>
+            })}
+          </p>
+          <input className="w-full border rounded-2xl p-2 font-mono text-sm mb-2" value={templateSteps ?? protocol.steps} onChange={(e)=>setTemplateSteps(e.target.value)} />
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <input className="border rounded-xl p-1" placeholder={t("templates.name")} value={templateName} onChange={(e)=>setTemplateName(e.target.value)} />
+            <button className="px-3 py-1 border rounded-full text-xs disabled:opacity-50" disabled={!templateName.trim() || !parseProtocol(templateSteps ?? protocol.steps).length} onClick={saveTemplate}>{t("templates.save")}</button>
+            {protocol.custom && <button className="px-3 py-1 border rounded-full text-xs" onClick={deleteTemplate}>{t("templates.delete", { name: protocol.name })}</button>}
+          </div>
+        </details>
+
+        <LiftCatalogue catalogue={catalogue} unit={unit} protocols={protocols} liftName={liftName} locale={locale} onChange={setCustomLifts} onDelete={renameDeletedLift} />
+
+        {/* Plate inventory */}
+        <details className="border rounded-2xl p-3 mb-4">
+          <summary className="text-sm font-medium cursor-pointer">{t("plates.title")}</summary>
+          <p className="text-xs text-gray-600 mt-2 mb-2">{t("plates.help")}</p>
+          <div className="grid grid-cols-5 md:grid-cols-9 gap-2 text-xs">
+            {plates.map((p) => (
+              <div key={p.weight}>
+                <label className="block mb-1">{tr.plate(p.weight)} {unit}</label>
+                <input type="number" min={0} step={2} className="w-full border rounded-xl p-1" value={p.count} onChange={(e)=>setPlateCount(p.weight, e.target.value)} />
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center gap-2 text-sm mt-3">
+            <span>{t("plates.collar")}</span>
+            <input type="number" min={0} step={0.5} value={collar} onChange={(e)=>setCollar(Math.max(0, parseFloat(e.target.value) || 0))} className="w-20 border rounded-xl p-1" />
+            <span className="text-xs text-gray-600">{unit}</span>
+          </div>
+        </details>
 
         {/* Output */}
         <div className="grid md:grid-cols-2 gap-4">
           <div className="border rounded-2xl p-3">
-            <h3 className="font-semibold mb-2">Suggested working sets ({header})</h3>
-            {suggestedWeights.length === 0 ? (
-              <div className="text-sm text-gray-500">Add last week’s weights to get suggestions.</div>
+            <h3 className="font-semibold mb-2">{t("output.suggested", { header })}</h3>
+            {workingSets.length === 0 ? (
+              <div className="text-sm text-gray-500">{t(entry.planMode === "percent" ? "output.enterScheme" : "output.addWeights")}</div>
             ) : (
               <ul className="space-y-2">
-                {suggestedWeights.map((w, i) => (
+                {workingSets.map((r, i) => (
                   <li key={`sugg-${i}`} className="flex items-start justify-between bg-white rounded-xl p-2 border brand-border">
                     <div className="font-medium">
-                      {(quickParsed.reps[i] ?? quickParsed.reps[0] ?? "?")} × {w.toFixed(1)} {unit}
+                      {formatReps(r)} × {tr.weight(r.weight)} {unit}
+                      {r.pct != null && <span className="ml-2 text-xs text-gray-500">{tr.number(r.pct)}%</span>}
+                      {r.amrap && <span className="ml-2 text-xs text-gray-500">AMRAP</span>}
+                      {r.rest != null && <span className="ml-2 text-xs text-gray-500">{t("output.rest", { time: formatRest(r.rest) })}</span>}
                     </div>
+                    {renderLoading(workingLoading[i])}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {plan.notes.length > 0 && (
+              <ul className="mt-3 space-y-1 text-xs">
+                {plan.notes.map((n, i) => (
+                  <li key={i} className={n.kind === "warning" ? "text-red-600" : "text-amber-700"}>
+                    {n.kind === "warning" ? "⚠ " : "↳ "}{tr.message(n)}
                   </li>
                 ))}
               </ul>
@@ -198,20 +936,167 @@ export default function App() {
           </div>
 
           <div className="border rounded-2xl p-3">
-            <h3 className="font-semibold mb-2">Auto warm‑ups (gym standard)</h3>
+            <h3 className="font-semibold mb-2">{t("output.autoWarmups", { protocol: protocolName(protocol) })}</h3>
             {autoWarmups.length === 0 ? (
-              <div className="text-sm text-gray-500">Enter last week + feeling to see warm‑ups.</div>
+              <div className="text-sm text-gray-500">{t("output.noWarmups")}</div>
             ) : (
               <ul className="space-y-2">
                 {autoWarmups.map((r, idx) => (
                   <li key={`auto-${idx}`} className="flex items-start justify-between bg-white rounded-xl p-2 border brand-border">
-                    <div className="font-medium">{r.reps} × {r.weight.toFixed(1)} {unit}</div>
+                    <div className="font-medium">{r.reps} × {tr.weight(r.weight)} {unit}</div>
+                    {renderLoading(warmupLoading[idx])}
                   </li>
                 ))}
               </ul>
             )}
           </div>
         </div>
+
+        {/* Combined plan for the day */}
+        {entries.length > 1 && (
+          <div className="border rounded-2xl p-3 mt-6">
+            <h3 className="font-semibold mb-2">{t("today.title")}</h3>
+            <ol className="space-y-3">
+              {entries.map((e, i) => (
+                <li key={e.id}>
+                  <div className="font-medium brand-heading">{liftName(liftLabel(e))}</div>
+                  {plans[i].workingSets.length === 0 ? (
+                    <div className="text-sm text-gray-500">{t("today.noSets")}</div>
+                  ) : (
+                    <ul className="text-sm space-y-1">
+                      {[...plans[i].warmups.map((r, j) => ({ ...r, warmup: true, l: plans[i].warmupLoading[j] })),
+                        ...plans[i].workingSets.map((r, j) => ({ ...r, warmup: false, l: plans[i].workingLoading[j] }))].map((r, j) => (
+                        <li key={j} className={`flex items-start justify-between ${r.warmup ? "text-gray-600" : "font-medium"}`}>
+                          <span>{t(r.warmup ? "sets.warmup" : "sets.work")} · {formatReps(r)} × {tr.weight(r.weight)} {unit}</span>
+                          {renderLoading(r.l)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
+        {/* Rating of today's session, logged with it (separate from last week's feel above) */}
+        {entries.some((e, i) => plans[i].workingSets.length > 0) && (
+          <div className="mt-4 space-y-2 text-sm">
+            {entries.map((e, i) => plans[i].workingSets.length > 0 && (
+              <div key={e.id} className="flex flex-wrap items-center gap-2">
+                <span>{t("log.rating", { lift: liftName(liftLabel(e)) })}</span>
+                {FEELS.map((k) => (
+                  <label key={k} className={`px-3 py-1 rounded-full cursor-pointer border ${e.sessionFelt===k?"brand-chip":"bg-white"}`}>
+                    <input type="radio" name={`sessionFelt-${e.id}`} className="mr-2" checked={e.sessionFelt===k} onChange={() => setEntries((list) => list.map((x) => (x.id === e.id ? { ...x, sessionFelt: k } : x)))} />{t(`felt.${k}`)}
+                  </label>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center justify-end gap-2 mt-4">
+          {copied && <span className="text-xs text-gray-600">{copied}</span>}
+          <button className="px-3 py-2 rounded-2xl border text-sm disabled:opacity-50" disabled={!cards.length} onClick={() => copySession(false)}>{t("export.copyText")}</button>
+          <button className="px-3 py-2 rounded-2xl border text-sm disabled:opacity-50" disabled={!cards.length} onClick={() => copySession(true)}>{t("export.copyMarkdown")}</button>
+          <button className="px-3 py-2 rounded-2xl border text-sm disabled:opacity-50" disabled={!cards.length} onClick={() => downloadSessionPng(shownCards, { unit, date: today, locale })}>{t("export.savePng")}</button>
+          <button className="px-3 py-2 rounded-2xl border text-sm disabled:opacity-50" disabled={!cards.length} onClick={() => window.print()}>{t("export.print")}</button>
+          <button className="px-3 py-2 rounded-2xl border text-sm" onClick={copyLink}>{t("export.copyLink")}</button>
+          <button className="px-3 py-2 rounded-2xl border text-sm disabled:opacity-50" disabled={!cards.length} onClick={() => setWorkout(true)}>{t("export.startWorkout")}</button>
+          <button className="px-4 py-2 rounded-2xl brand-btn text-sm disabled:opacity-50" disabled={plans.every((p) => p.workingSets.length === 0)} onClick={logSession}>
+            {t(entries.length > 1 ? "log.all" : "log.one")}
+          </button>
+        </div>
+
+        {/* Training block */}
+        <div className="border rounded-2xl p-3 mt-6">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <h3 className="font-semibold">{t("block.title")}</h3>
+            {block ? (
+              <div className="flex items-center gap-2 text-xs text-gray-600">
+                <span>{t("block.started", { date: tr.date(block.start) })}</span>
+                <button className="px-3 py-1 border rounded-full" onClick={() => setBlock(saveBlock(null))}>{t("block.end")}</button>
+              </div>
+            ) : (
+              <button className="px-3 py-1 rounded-full brand-btn text-xs" onClick={startBlock}>{t("block.start")}</button>
+            )}
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs mb-3">
+            <div>
+              <label className="block mb-1">{t("block.template")}</label>
+              <select className="w-full border rounded-xl p-1" disabled={!!block} value={activeBlockConfig.template} onChange={(e) => setBlockConfig({ ...blockConfig, template: e.target.value })}>
+                {BLOCK_TEMPLATES.map((b) => <option key={b.id} value={b.id}>{t(`block.templates.${b.id}`)}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block mb-1">{t("block.weeks")}</label>
+              <input type="number" min={2} max={8} className="w-full border rounded-xl p-1" disabled={!!block} value={activeBlockConfig.weeks} onChange={(e) => setBlockConfig({ ...blockConfig, weeks: Math.min(8, Math.max(2, parseInt(e.target.value, 10) || 4)) })} />
+            </div>
+            <div>
+              <label className="block mb-1">{t("block.deload")}</label>
+              <select className="w-full border rounded-xl p-1" disabled={!!block} value={activeBlockConfig.deloadRule} onChange={(e) => setBlockConfig({ ...blockConfig, deloadRule: e.target.value })}>
+                {DELOAD_RULES.map((r) => <option key={r.id} value={r.id}>{t(`block.deloads.${r.id}`)}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block mb-1">{t("block.deloadPct")}</label>
+              <input type="number" min={40} max={100} step={5} className="w-full border rounded-xl p-1" disabled={!!block} value={activeBlockConfig.deloadPct} onChange={(e) => setBlockConfig({ ...blockConfig, deloadPct: Math.min(100, Math.max(40, parseFloat(e.target.value) || 85)) })} />
+            </div>
+          </div>
+          {block && block.unit !== unit && (
+            <div className="text-xs text-red-600 mb-2">{t("block.otherUnit", { unit: block.unit })}</div>
+          )}
+          {entries.map((e, i) => (
+            <div key={e.id} className="mb-3">
+              <div className="font-medium brand-heading text-sm mb-1">{liftName(liftLabel(e))}</div>
+              <table className="w-full text-xs">
+                <tbody>
+                  {blockPlans[i].map((w) => (
+                    <tr key={w.week} className={`border-t align-top ${w.deload ? "text-gray-500" : ""}`}>
+                      <td className="py-1 pr-2 whitespace-nowrap font-medium">
+                        {t("block.week", { week: w.week })}
+                        {w.deload && <span className="ml-1 px-2 rounded-full brand-chip">{t("block.deloadChip")}</span>}
+                        {w.rpe != null && <span className="ml-1 text-gray-500">@{tr.number(w.rpe)}</span>}
+                      </td>
+                      <td className="py-1 pr-2">
+                        {w.sets.map((x) => `${formatReps(x)}×${tr.weight(x.weight)}`).join(" · ")}
+                        {w.adjust < 0 && <span className="ml-1 text-red-600">{t("block.adjusted", { weight: tr.weight(w.adjust), unit })}</span>}
+                      </td>
+                      <td className="py-1 text-gray-500">{t("common.warmups", { list: w.warmups.map((x) => tr.weight(x.weight)).join(" / ") || "–" })}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+
+        {/* History */}
+        <div className="border rounded-2xl p-3 mt-6">
+          <h3 className="font-semibold mb-2">{t("history.title", { lift: liftName(lift) })}</h3>
+          {liftHistory.length === 0 ? (
+            <div className="text-sm text-gray-500">{t("history.empty", { lift: liftName(lift) })}</div>
+          ) : (
+            <ul className="space-y-2">
+              {liftHistory.map((h) => (
+                <li key={h.id} className="flex items-start justify-between gap-2 bg-white rounded-xl p-2 border brand-border text-sm">
+                  <div>
+                    <div className="font-medium">{tr.date(h.date)} · {h.pattern} · {t(`felt.${h.felt}`)}</div>
+                    <div className="text-xs text-gray-600">
+                      {h.sets.map((x) => `${formatReps(x)}×${tr.weight(x.weight)}`).join(" · ")} {h.unit}
+                      {h.warmups.length > 0 && <span className="opacity-80">  ·  {t("common.warmups", { list: h.warmups.map((x) => tr.weight(x.weight)).join(" / ") })}</span>}
+                    </div>
+                  </div>
+                  <button className="px-2 py-1 border rounded-full text-xs" onClick={() => setHistory(deleteSession(h.id))}>{t("common.delete")}</button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {liftHistory.length > 0 && <Analytics lift={liftName(lift)} sessions={liftHistory} unit={unit} formula={entry.e1rmFormula} locale={locale} />}
+
+        <CsvPanel history={history} cards={cards} unit={unit} date={today} athlete={athlete} liftName={liftName} locale={locale} onImport={importSessions} />
       </div>
     </div>
   );
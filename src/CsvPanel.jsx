@@ -0,0 +1,97 @@
+import React, { useMemo, useState } from "react";
+import { translator } from "./i18n.js";
+import { CSV_FIELDS, parseCsv, guessMapping, headerUnit, rowsToSessions, historyToCsv, planToCsv, downloadCsv } from "./csv.js";
+
+// Spreadsheet import / export. An opened file's columns are mapped onto date / lift / reps /
+// weight / … before import; onImport(sessions) stores them and returns how many were new.
+export default function CsvPanel({ history, cards, unit, date, athlete, liftName, locale, onImport }) {
+  const tr = useMemo(() => translator(locale), [locale]);
+  const { t } = tr;
+  const [file, setFile] = useState(null); // { name, header, rows, mapping, unit }
+  const [message, setMessage] = useState(null);
+  const preview = useMemo(
+    () => (file ? rowsToSessions(file.rows, file.mapping, { unit: file.unit }) : null),
+    [file]
+  );
+  const missing = file ? CSV_FIELDS.filter((f) => f.required && file.mapping[f.id] == null) : [];
+
+  async function open(f) {
+    if (!f) return;
+    const [header = [], ...rows] = parseCsv(await f.text());
+    const mapping = guessMapping(header);
+    setFile({ name: f.name, header, rows, mapping, unit: headerUnit(header[mapping.weight]) ?? unit });
+    setMessage(null);
+  }
+
+  function setColumn(field, value) {
+    const mapping = { ...file.mapping, [field]: value === "" ? null : Number(value) };
+    const guessed = field === "weight" ? headerUnit(file.header[mapping.weight]) : null;
+    setFile({ ...file, mapping, unit: guessed ?? file.unit });
+  }
+
+  function importFile() {
+    const added = onImport(preview.sessions);
+    const dupes = preview.sessions.length - added;
+    setMessage([
+      t("csv.imported", { count: added }),
+      dupes ? t("csv.alreadyLogged", { count: dupes }) : null,
+      preview.skipped ? t("csv.unreadable", { count: preview.skipped }) : null
+    ].filter(Boolean).join(", ") + ".");
+    setFile(null);
+  }
+
+  return (
+    <details className="border rounded-2xl p-3 mt-6">
+      <summary className="text-sm font-medium cursor-pointer">{t("csv.title")}</summary>
+      <p className="text-xs text-gray-600 mt-2 mb-2">{t("csv.help")}</p>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <label className="px-3 py-2 border rounded-2xl cursor-pointer">
+          {t("csv.choose")}
+          <input type="file" accept=".csv,text/csv,text/plain" className="hidden" onChange={(e) => { open(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        <button className="px-3 py-2 border rounded-2xl disabled:opacity-50" disabled={!history.length} onClick={() => downloadCsv(historyToCsv(history), `history-${date}.csv`)}>{t("csv.exportHistory")}</button>
+        <button className="px-3 py-2 border rounded-2xl disabled:opacity-50" disabled={!cards.length} onClick={() => downloadCsv(planToCsv(cards, { unit, date }), `plan-${date}.csv`)}>{t("csv.exportPlan")}</button>
+        {message && <span className="text-xs text-gray-600">{message}</span>}
+      </div>
+
+      {file && (
+        <div className="mt-3 border-t pt-3">
+          <div className="text-sm font-medium mb-2">{t("csv.rows", { name: file.name, count: file.rows.length })}</div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs mb-2">
+            {CSV_FIELDS.map((f) => (
+              <label key={f.id} className="block">
+                <span className="block mb-1">{t(`csv.fields.${f.id}`)}{f.required ? " *" : ""}</span>
+                <select className="w-full border rounded-xl p-1" value={file.mapping[f.id] ?? ""} onChange={(e) => setColumn(f.id, e.target.value)}>
+                  <option value="">—</option>
+                  {file.header.map((h, i) => <option key={i} value={i}>{h || t("csv.column", { n: i + 1 })}</option>)}
+                </select>
+              </label>
+            ))}
+            <label className="block">
+              <span className="block mb-1">{t("csv.unit")}</span>
+              <select className="w-full border rounded-xl p-1" value={file.unit} onChange={(e) => setFile({ ...file, unit: e.target.value })}>
+                <option value="kg">kg</option>
+                <option value="lb">lb</option>
+              </select>
+            </label>
+          </div>
+          {missing.length > 0 ? (
+            <div className="text-xs text-red-600 mb-2">{t("csv.pickColumn", { fields: missing.map((f) => t(`csv.fields.${f.id}`).toLocaleLowerCase(tr.tag)).join(", ") })}</div>
+          ) : (
+            <div className="text-xs text-gray-600 mb-2">
+              {t("csv.found", { count: preview.sessions.length })}
+              {preview.sessions.length > 0 && <> ({[...new Set(preview.sessions.map((x) => liftName(x.lift)))].join(", ")})</>}
+              {preview.skipped > 0 && <span className="text-red-600">; {t("csv.willSkip", { count: preview.skipped })}</span>}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <button className="px-3 py-2 rounded-2xl brand-btn text-sm disabled:opacity-50" disabled={missing.length > 0 || !preview.sessions.length} onClick={importFile}>
+              {athlete ? t("csv.importFor", { name: athlete.name }) : t("csv.import")}
+            </button>
+            <button className="px-3 py-2 border rounded-2xl text-sm" onClick={() => setFile(null)}>{t("common.cancel")}</button>
+          </div>
+        </div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useMemo, useState } from "react";
+import { translator } from "./i18n.js";
+import { BAR_PROFILES } from "./equipment.js";
+import { FEELS } from "./engine.js";
+import { saveCustomLift, deleteCustomLift, findLift, liftIncrements } from "./lifts.js";
+
+// Increments are typed in the current unit; blank = the group default
+const EMPTY_FORM = { name: "", group: "lower", bar: "", protocol: "", inc: { easy: "", solid: "", hard: "", missed: "" }, parent: "", parentPct: "" };
+
+// Lift catalogue: built-in lifts and variations plus the ones added here. Saves to storage and
+// hands the new custom list to onChange; onDelete runs after a custom lift is removed.
+export default function LiftCatalogue({ catalogue, unit, protocols, liftName, locale, onChange, onDelete }) {
+  const tr = useMemo(() => translator(locale), [locale]);
+  const { t } = tr;
+  const [form, setForm] = useState(EMPTY_FORM);
+  const barName = (b) => t(`bars.${b.id}`);
+  const protocolName = (p) => (p.custom ? p.name : t(`protocols.${p.id}`));
+
+  function edit(def) {
+    const inc = def.increments?.[unit];
+    setForm({
+      name: def.name,
+      group: def.group,
+      bar: def.bar ?? "",
+      protocol: def.protocol ?? "",
+      inc: Object.fromEntries(FEELS.map((k) => [k, inc ? String(inc[k]) : ""])),
+      parent: def.parent ?? "",
+      parentPct: def.parentPct ? String(def.parentPct) : ""
+    });
+  }
+
+  function save() {
+    const name = form.name.trim();
+    if (!name || name.toLowerCase() === "other") return;
+    const values = Object.fromEntries(FEELS.map((k) => [k, parseFloat(form.inc[k])]));
+    const { [unit]: _, ...otherUnits } = findLift(name, catalogue)?.increments ?? {};
+    const pct = parseFloat(form.parentPct);
+    onChange(saveCustomLift({
+      name,
+      group: form.group,
+      bar: form.bar || null,
+      protocol: form.protocol || null,
+      increments: Object.values(values).every(Number.isFinite) ? { ...otherUnits, [unit]: values } : otherUnits,
+      parent: form.parent && form.parent !== name ? form.parent : null,
+      parentPct: form.parent && pct > 0 ? pct : null
+    }));
+    setForm(EMPTY_FORM);
+  }
+
+  function remove(def) {
+    onChange(deleteCustomLift(def.id));
+    onDelete(def);
+  }
+
+  return (
+    <details className="border rounded-2xl p-3 mb-4">
+      <summary className="text-sm font-medium cursor-pointer">{t("catalogue.title")}</summary>
+      <p className="text-xs text-gray-600 mt-2 mb-2">{t("catalogue.help")}</p>
+      <ul className="space-y-1 mb-3 text-sm">
+        {catalogue.map((l) => {
+          const inc = liftIncrements(l, unit);
+          return (
+            <li key={l.id} className="flex items-center justify-between gap-2 rounded-xl p-2 border">
+              <span>
+                <span className="font-medium">{liftName(l.name)}</span>
+                <span className="ml-2 text-xs text-gray-500">
+                  {[
+                    t(`catalogue.group.${l.group}`),
+                    l.bar ? barName(BAR_PROFILES.find((b) => b.id === l.bar) ?? { id: "custom" }) : t("catalogue.sessionBar"),
+                    l.protocol ? protocolName(protocols.find((p) => p.id === l.protocol) ?? { custom: true, name: l.protocol }) : t("catalogue.usualWarmups"),
+                    t("catalogue.steps", { steps: FEELS.map((k) => tr.number(inc[k])).join(" / "), unit }),
+                    l.parent ? t("catalogue.parent", { pct: l.parentPct, parent: liftName(l.parent) }) : null
+                  ].filter(Boolean).join(" · ")}
+                </span>
+              </span>
+              <span className="flex gap-1">
+                <button className="px-2 py-1 border rounded-full text-xs" onClick={() => edit(l)}>{t("common.edit")}</button>
+                {l.custom && <button className="px-2 py-1 border rounded-full text-xs" onClick={() => remove(l)}>{t("common.delete")}</button>}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+      <div className="grid md:grid-cols-4 gap-2 text-sm">
+        <input className="border rounded-xl p-1" placeholder={t("catalogue.name")} value={form.name} onChange={(e)=>setForm({ ...form, name: e.target.value })} />
+        <select className="border rounded-xl p-1" value={form.group} onChange={(e)=>setForm({ ...form, group: e.target.value })}>
+          <option value="lower">{t("catalogue.group.lower")}</option>
+          <option value="upper">{t("catalogue.group.upper")}</option>
+        </select>
+        <select className="border rounded-xl p-1" value={form.bar} onChange={(e)=>setForm({ ...form, bar: e.target.value })}>
+          <option value="">{t("equipment.sessionBar")}</option>
+          {BAR_PROFILES.map((b) => <option key={b.id} value={b.id}>{barName(b)}</option>)}
+        </select>
+        <select className="border rounded-xl p-1" value={form.protocol} onChange={(e)=>setForm({ ...form, protocol: e.target.value })}>
+          <option value="">{t("catalogue.usualWarmupsOption")}</option>
+          {protocols.map((p) => <option key={p.id} value={p.id}>{protocolName(p)}</option>)}
+        </select>
+      </div>
+      <div className="grid grid-cols-4 gap-2 text-xs mt-2">
+        {FEELS.map((k) => (
+          <div key={k}>
+            <label className="block mb-1">{t(`felt.${k}`)} ({unit})</label>
+            <input type="number" step={0.5} className="w-full border rounded-xl p-1" placeholder={t("catalogue.groupDefault")} value={form.inc[k]} onChange={(e)=>setForm({ ...form, inc: { ...form.inc, [k]: e.target.value } })} />
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm mt-2">
+        <span>{t("catalogue.seedFrom")}</span>
+        <select className="border rounded-xl p-1" value={form.parent} onChange={(e)=>setForm({ ...form, parent: e.target.value })}>
+          <option value="">—</option>
+          {catalogue.filter((l) => l.name !== form.name.trim()).map((l) => <option key={l.id} value={l.name}>{liftName(l.name)}</option>)}
+        </select>
+        <span>{t("catalogue.at")}</span>
+        <input type="number" min={1} max={200} className="w-20 border rounded-xl p-1" value={form.parentPct} disabled={!form.parent} onChange={(e)=>setForm({ ...form, parentPct: e.target.value })} />
+        <span>%</span>
+        <button className="px-3 py-1 border rounded-full text-xs disabled:opacity-50" disabled={!form.name.trim() || form.name.trim().toLowerCase() === "other"} onClick={save}>{t("catalogue.save")}</button>
+        {form !== EMPTY_FORM && <button className="px-3 py-1 border rounded-full text-xs" onClick={() => setForm(EMPTY_FORM)}>{t("common.clear")}</button>}
+      </div>
+    </details>
+  );
+}
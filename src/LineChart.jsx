@@ -0,0 +1,50 @@
+import React from "react";
+import { translator } from "./i18n.js";
+
+const W = 600;
+const H = 160;
+const PAD = { left: 44, right: 12, top: 12, bottom: 22 };
+
+// Small SVG line chart, drawn locally. points: [{ date, value, color? }] oldest first.
+export default function LineChart({ title, points, format = String, locale }) {
+  const { t, tag } = translator(locale);
+  if (points.length < 2) {
+    return (
+      <div className="mb-4">
+        <div className="text-sm font-medium mb-1">{title}</div>
+        <div className="text-xs text-gray-500">{t("analytics.needTwo")}</div>
+      </div>
+    );
+  }
+  const values = points.map((p) => p.value);
+  const lo = Math.min(...values);
+  const hi = Math.max(...values);
+  const span = hi - lo || 1;
+  const t0 = Date.parse(points[0].date);
+  const tSpan = Date.parse(points[points.length - 1].date) - t0 || 1;
+  const x = (p) => PAD.left + ((Date.parse(p.date) - t0) / tSpan) * (W - PAD.left - PAD.right);
+  const y = (v) => PAD.top + (1 - (v - lo) / span) * (H - PAD.top - PAD.bottom);
+  const day = (p) => new Date(p.date).toLocaleDateString(tag, { month: "short", day: "numeric" });
+
+  return (
+    <figure className="mb-4">
+      <figcaption className="text-sm font-medium mb-1">{title}</figcaption>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label={t("analytics.chartLabel", { title, from: format(values[0]), to: format(values[values.length - 1]) })}>
+        {(lo === hi ? [lo] : [lo, hi]).map((v) => (
+          <g key={v}>
+            <line x1={PAD.left} x2={W - PAD.right} y1={y(v)} y2={y(v)} stroke="#e5e7eb" />
+            <text x={PAD.left - 6} y={y(v) + 4} textAnchor="end" fontSize="11" fill="#6b7280">{format(v)}</text>
+          </g>
+        ))}
+        <polyline fill="none" stroke="var(--brand)" strokeWidth="2" points={points.map((p) => `${x(p)},${y(p.value)}`).join(" ")} />
+        {points.map((p, i) => (
+          <circle key={i} cx={x(p)} cy={y(p.value)} r="4" fill={p.color ?? "var(--brand)"}>
+            <title>{`${day(p)}: ${format(p.value)}`}</title>
+          </circle>
+        ))}
+        <text x={PAD.left} y={H - 6} fontSize="11" fill="#6b7280">{day(points[0])}</text>
+        <text x={W - PAD.right} y={H - 6} textAnchor="end" fontSize="11" fill="#6b7280">{day(points[points.length - 1])}</text>
+      </svg>
+    </figure>
+  );
+}
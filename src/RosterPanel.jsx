@@ -0,0 +1,88 @@
+import React, { useMemo, useState } from "react";
+import { translator } from "./i18n.js";
+import { loadRoster, addAthlete, updateAthlete, deleteAthlete, exportRoster, importRoster, downloadJson } from "./roster.js";
+import { loadHistory, forAthlete } from "./history.js";
+
+// Coach mode: the athlete roster, who today's plan is for, and the roster file import / export.
+// `settings()` is what a new or updated athlete profile stores (see currentSettings in App).
+export default function RosterPanel({ roster, athleteId, history, settings, date, locale, onPlanFor, onSelect, onRosterChange, onHistoryChange }) {
+  const tr = useMemo(() => translator(locale), [locale]);
+  const { t } = tr;
+  const [newName, setNewName] = useState("");
+  const [message, setMessage] = useState(null);
+  const athlete = roster.find((a) => a.id === athleteId) ?? null;
+
+  const lastSessionDate = (id) => forAthlete(history, id).reduce((d, h) => (h.date > d ? h.date : d), "");
+
+  function create() {
+    if (!newName.trim()) return;
+    const a = addAthlete(newName, settings());
+    onRosterChange(loadRoster());
+    onSelect(a.id);
+    setNewName("");
+  }
+
+  function remove(a) {
+    if (!window.confirm(t("athletes.confirmDelete", { name: a.name }))) return;
+    onRosterChange(deleteAthlete(a.id));
+    onHistoryChange(loadHistory());
+    if (a.id === athleteId) onSelect(null);
+  }
+
+  async function importFile(file) {
+    if (!file) return;
+    try {
+      const res = importRoster(await file.text());
+      onRosterChange(res.athletes);
+      onHistoryChange(res.history);
+      setMessage({ text: t("athletes.imported", { count: res.athletes.length }) });
+    } catch (err) {
+      setMessage({ error: true, text: t("athletes.importFailed", { reason: t(err.message) }) });
+    }
+  }
+
+  return (
+    <details className="border rounded-2xl p-3 mb-4" open={roster.length > 0}>
+      <summary className="text-sm font-medium cursor-pointer">
+        {t("athletes.title")}{athlete ? <span className="ml-2 px-2 py-0.5 rounded-full text-xs brand-chip">{t("athletes.planningFor", { name: athlete.name })}</span> : null}
+      </summary>
+      <p className="text-xs text-gray-600 mt-2 mb-2">{t("athletes.help")}</p>
+      <ul className="space-y-1 mb-3 text-sm">
+        <li className={`flex items-center justify-between gap-2 rounded-xl p-2 border ${athleteId === null ? "brand-border" : ""}`}>
+          <span className="font-medium">{t("athletes.me")} <span className="text-xs text-gray-500 font-normal">{t("athletes.ownTraining")}</span></span>
+          <button className="px-2 py-1 border rounded-full text-xs" onClick={() => onPlanFor(null)}>{t("athletes.planToday")}</button>
+        </li>
+        {roster.map((a) => {
+          const last = lastSessionDate(a.id);
+          return (
+            <li key={a.id} className={`flex items-center justify-between gap-2 rounded-xl p-2 border ${a.id === athleteId ? "brand-border" : ""}`}>
+              <span>
+                <span className="font-medium">{a.name}</span>
+                <span className="ml-2 text-xs text-gray-500">{a.settings.unit} · {last ? t("athletes.lastSession", { date: tr.date(last) }) : t("athletes.noSessions")}</span>
+              </span>
+              <span className="flex gap-1">
+                <button className="px-2 py-1 rounded-full text-xs brand-btn" onClick={() => onPlanFor(a)}>{t("athletes.planToday")}</button>
+                <button className="px-2 py-1 border rounded-full text-xs" onClick={() => remove(a)}>{t("common.delete")}</button>
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <input className="border rounded-2xl p-2 flex-1 min-w-[10rem]" placeholder={t("athletes.newName")} value={newName} onChange={(e) => setNewName(e.target.value)} />
+        <button className="px-3 py-2 border rounded-2xl" onClick={create} disabled={!newName.trim()}>{t("athletes.add")}</button>
+        {athlete && (
+          <button className="px-3 py-2 border rounded-2xl" onClick={() => onRosterChange(updateAthlete(athlete.id, { settings: settings() }))}>{t("athletes.saveSettings", { name: athlete.name })}</button>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm mt-2">
+        <button className="px-3 py-2 border rounded-2xl" onClick={() => downloadJson(exportRoster(), `roster-${date}.json`)} disabled={!roster.length}>{t("athletes.export")}</button>
+        <label className="px-3 py-2 border rounded-2xl cursor-pointer">
+          {t("athletes.import")}
+          <input type="file" accept="application/json,.json" className="hidden" onChange={(e) => { importFile(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        {message && <span className={`text-xs ${message.error ? "text-red-600" : "text-gray-600"}`}>{message.text}</span>}
+      </div>
+    </details>
+  );
+}
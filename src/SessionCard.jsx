@@ -0,0 +1,36 @@
+import React from "react";
+import { formatReps, formatRest } from "./notation.js";
+import { translator } from "./i18n.js";
+
+// Print-only session card; hidden on screen, replaces the calculator when printing.
+export default function SessionCard({ cards, unit, date, locale }) {
+  const { t, weight, loading } = translator(locale);
+  return (
+    <div className="hidden print:block text-black">
+      <div className="flex items-baseline justify-between border-b-2 pb-2 mb-4" style={{ borderColor: "var(--brand)" }}>
+        <h1 className="text-2xl font-bold brand-heading">{t("card.title")}</h1>
+        <span className="text-sm">{date} · Lioness Performance</span>
+      </div>
+      {cards.map((card) => (
+        <section key={card.lift} className="mb-6 break-inside-avoid">
+          <h2 className="text-xl font-semibold brand-heading mb-2">{card.lift}</h2>
+          <table className="w-full text-base">
+            <tbody>
+              {card.rows.map((r, i) => (
+                <tr key={i} className={`border-b ${r.kind === "work" ? "font-semibold" : "text-gray-600"}`}>
+                  <td className="py-2 pr-4 w-6">☐</td>
+                  <td className="py-2 pr-4">{t(r.kind === "work" ? "sets.work" : "sets.warmup")}</td>
+                  <td className="py-2 pr-4">
+                    {formatReps(r)} × {weight(r.weight)} {unit}
+                    {r.rest != null && <span className="ml-2 text-sm font-normal">{t("output.rest", { time: formatRest(r.rest) })}</span>}
+                  </td>
+                  <td className="py-2 text-sm text-right">{loading(r.loading)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { formatReps, formatRest } from "./notation.js";
+import { translator } from "./i18n.js";
+
+// Rest after a set when the pattern doesn't give one (seconds)
+const DEFAULT_REST = { warmup: 60, work: 180 };
+
+// Full-screen, one set at a time: check it off, rest, next. Built from the same cards as the
+// printed session, so every lift's warm-ups and working sets are stepped through in order.
+export default function WorkoutMode({ cards, unit, locale, onClose }) {
+  const { t, weight, loading } = useMemo(() => translator(locale), [locale]);
+  const steps = cards.flatMap((card) => card.rows.map((row) => ({ lift: card.lift, ...row })));
+  const [index, setIndex] = useState(0);
+  const [done, setDone] = useState(() => steps.map(() => false));
+  const [restUntil, setRestUntil] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  // Tick while resting
+  useEffect(() => {
+    if (restUntil == null) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [restUntil]);
+
+  const remaining = restUntil == null ? 0 : Math.max(0, Math.ceil((restUntil - now) / 1000));
+  useEffect(() => {
+    if (restUntil != null && remaining === 0) {
+      navigator.vibrate?.([200, 100, 200]);
+      setRestUntil(null);
+    }
+  }, [restUntil, remaining]);
+
+  // Keep the screen on between sets where supported
+  useEffect(() => {
+    let lock = null;
+    let cancelled = false;
+    navigator.wakeLock?.request("screen")
+      .then((l) => {
+        // Closed before the lock came through: let it go straight away
+        if (cancelled) l.release();
+        else lock = l;
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+      lock?.release();
+    };
+  }, []);
+
+  const step = steps[index];
+  const finished = done.every(Boolean);
+
+  function complete() {
+    setDone(done.map((d, i) => (i === index ? true : d)));
+    // Next unchecked set after this one, wrapping round to any that were skipped
+    const order = [...steps.keys()].filter((i) => i > index).concat([...steps.keys()].filter((i) => i < index));
+    const next = order.find((i) => !done[i]);
+    if (next === undefined) return;
+    setIndex(next);
+    const rest = step.rest ?? DEFAULT_REST[step.kind];
+    setNow(Date.now());
+    setRestUntil(Date.now() + rest * 1000);
+  }
+
+  function go(i) {
+    setIndex(Math.min(steps.length - 1, Math.max(0, i)));
+    setRestUntil(null);
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-white flex flex-col p-4 print:hidden">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold brand-heading">{t("workout.title")}</h2>
+        <span className="text-sm text-gray-600">{t("workout.progress", { done: done.filter(Boolean).length, count: steps.length })}</span>
+        <button className="px-4 py-3 border rounded-2xl text-base" onClick={onClose}>{t("workout.exit")}</button>
+      </div>
+
+      {restUntil != null ? (
+        <div className="flex-1 flex flex-col items-center justify-center text-center">
+          <div className="text-sm uppercase tracking-wide text-gray-500">{t("workout.rest")}</div>
+          <div className="text-7xl font-bold tabular-nums my-4">{formatRest(remaining)}</div>
+          <div className="text-gray-600 mb-6">{t("workout.upNext", { set: `${step.lift} · ${formatReps(step)} × ${weight(step.weight)} ${unit}` })}</div>
+          <div className="flex gap-3">
+            <button className="px-6 py-4 border rounded-2xl text-lg" onClick={() => setRestUntil(restUntil + 30000)}>{t("workout.addRest")}</button>
+            <button className="px-6 py-4 rounded-2xl brand-btn text-lg" onClick={() => setRestUntil(null)}>{t("workout.skipRest")}</button>
+          </div>
+        </div>
+      ) : finished ? (
+        <div className="flex-1 flex flex-col items-center justify-center text-center">
+          <div className="text-3xl font-semibold mb-2">{t("workout.finished")}</div>
+          <div className="text-gray-600 mb-6">{t("workout.finishedHelp")}</div>
+          <button className="px-8 py-4 rounded-2xl brand-btn text-lg" onClick={onClose}>{t("workout.backToCalculator")}</button>
+        </div>
+      ) : (
+        <div className="flex-1 flex flex-col items-center justify-center text-center">
+          <div className="text-lg font-medium brand-heading">{step.lift}</div>
+          <div className="text-sm uppercase tracking-wide text-gray-500 mb-2">{t(step.kind === "work" ? "workout.workingSet" : "sets.warmup")}</div>
+          <div className="text-6xl font-bold tabular-nums">{formatReps(step)} × {weight(step.weight)}</div>
+          <div className="text-xl text-gray-600 mb-2">{unit}</div>
+          <div className={`text-base mb-8 ${step.loading?.error ? "text-red-600" : "text-gray-600"}`}>{loading(step.loading)}</div>
+          <button className="w-full max-w-sm py-6 rounded-3xl brand-btn text-2xl font-semibold disabled:opacity-50" disabled={done[index]} onClick={complete}>
+            {done[index] ? `${t("workout.done")} ✓` : t("workout.done")}
+          </button>
+          <div className="flex gap-3 mt-4 w-full max-w-sm">
+            <button className="flex-1 py-4 border rounded-2xl text-lg disabled:opacity-40" disabled={index === 0} onClick={() => go(index - 1)}>{t("workout.back")}</button>
+            <button className="flex-1 py-4 border rounded-2xl text-lg disabled:opacity-40" disabled={index === steps.length - 1} onClick={() => go(index + 1)}>{t("workout.next")}</button>
+          </div>
+        </div>
+      )}
+
+      {/* Check-off list; tap a set to jump to it */}
+      <ol className="mt-4 max-h-40 overflow-y-auto text-sm border-t pt-2">
+        {steps.map((s, i) => (
+          <li key={i}>
+            <button className={`w-full flex items-center gap-3 py-2 text-left ${i === index ? "font-semibold" : ""} ${s.kind === "work" ? "" : "text-gray-600"}`} onClick={() => go(i)}>
+              <span className="w-6 text-center">{done[i] ? "☑" : "☐"}</span>
+              <span className="flex-1">{s.lift} · {t(s.kind === "work" ? "sets.work" : "sets.warmup")} {formatReps(s)} × {weight(s.weight)} {unit}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
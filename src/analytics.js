@@ -0,0 +1,47 @@
+import { estimate1RM } from "./oneRM.js";
+import { convertWeight } from "./units.js";
+import { FEELS } from "./engine.js";
+
+// Trends for one lift from its logged sessions (see history.js). Weights come back in `unit`
+// whatever unit each session was logged in.
+
+const BAD = ["hard", "missed"];
+
+// One point per session, oldest first: { date, top, e1rm, tonnage, felt }
+export function liftSeries(sessions, { unit = "kg", formula = "epley" } = {}) {
+  return [...sessions]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((s) => {
+      const sets = s.sets.map((x) => ({ reps: x.reps || 0, weight: convertWeight(x.weight || 0, s.unit ?? unit, unit) }));
+      return {
+        date: s.date,
+        top: Math.max(0, ...sets.map((x) => x.weight)),
+        e1rm: Math.max(0, ...sets.map((x) => estimate1RM(x.weight, x.reps, 10, formula))),
+        tonnage: sets.reduce((sum, x) => sum + x.reps * x.weight, 0),
+        felt: s.felt
+      };
+    });
+}
+
+// { easy: n, solid: n, hard: n, missed: n }
+export function feltCounts(sessions) {
+  const counts = Object.fromEntries(FEELS.map((f) => [f, 0]));
+  for (const s of sessions) if (s.felt in counts) counts[s.felt]++;
+  return counts;
+}
+
+// A stall: the last `streak` sessions were all hard/missed, or at least `threshold` of the
+// last `window` were. Returns { stalled, streak, recentBad, window }.
+export function detectStall(sessions, { streak = 2, window = 4, threshold = 3 } = {}) {
+  const felts = [...sessions].sort((a, b) => b.date.localeCompare(a.date)).map((s) => s.felt);
+  let run = 0;
+  while (run < felts.length && BAD.includes(felts[run])) run++;
+  const recent = felts.slice(0, window);
+  const recentBad = recent.filter((f) => BAD.includes(f)).length;
+  return {
+    stalled: run >= streak || (recent.length >= window && recentBad >= threshold),
+    streak: run,
+    recentBad,
+    window: recent.length
+  };
+}
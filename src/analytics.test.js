@@ -0,0 +1,43 @@
+import { describe, it, expect } from "vitest";
+import { liftSeries, feltCounts, detectStall } from "./analytics.js";
+
+const session = (date, felt, sets, unit = "kg") => ({ date: `2026-01-${date}T10:00:00.000Z`, lift: "Squat", unit, felt, sets });
+
+describe("liftSeries", () => {
+  it("gives top set, e1RM and tonnage per session, oldest first", () => {
+    const series = liftSeries([
+      session("08", "solid", [{ reps: 5, weight: 100 }, { reps: 5, weight: 90 }]),
+      session("01", "easy", [{ reps: 3, weight: 95 }])
+    ]);
+    expect(series.map((p) => p.date.slice(0, 10))).toEqual(["2026-01-01", "2026-01-08"]);
+    expect(series[1]).toMatchObject({ top: 100, tonnage: 950, felt: "solid" });
+    expect(series[1].e1rm).toBeCloseTo(100 * (1 + 5 / 30));
+  });
+
+  it("converts sessions logged in the other unit", () => {
+    const [p] = liftSeries([session("01", "solid", [{ reps: 1, weight: 225 }], "lb")], { unit: "kg" });
+    expect(p.top).toBeCloseTo(102.06, 1);
+  });
+});
+
+describe("feltCounts", () => {
+  it("counts each rating", () => {
+    expect(feltCounts([session("01", "hard", []), session("02", "hard", []), session("03", "easy", [])]))
+      .toEqual({ easy: 1, solid: 0, hard: 2, missed: 0 });
+  });
+});
+
+describe("detectStall", () => {
+  const felts = (...list) => list.map((f, i) => session(String(i + 1).padStart(2, "0"), f, []));
+
+  it("flags back-to-back hard/missed sessions", () => {
+    expect(detectStall(felts("solid", "hard", "missed"))).toMatchObject({ stalled: true, streak: 2 });
+    expect(detectStall(felts("hard", "missed", "solid")).stalled).toBe(false);
+  });
+
+  it("flags mostly hard weeks even when broken up", () => {
+    expect(detectStall(felts("hard", "missed", "solid", "hard"))).toMatchObject({ stalled: true, streak: 1, recentBad: 3 });
+    expect(detectStall(felts("missed", "hard", "solid", "hard", "easy"))).toMatchObject({ stalled: false, recentBad: 2 });
+    expect(detectStall(felts("hard", "missed", "hard"), { streak: 4 }).stalled).toBe(false);
+  });
+});
@@ -0,0 +1,99 @@
+import { roundLoad } from "./equipment.js";
+import { rpePercent } from "./oneRM.js";
+import { loadJson, saveJson } from "./storage.js";
+
+// Multi-week blocks. Week 1 is this week's plan; later weeks add the lift's own
+// progression step ("solid" from its kg / % rule) in the shape of the block template.
+
+export const BLOCK_TEMPLATES = [
+  { id: "linear", name: "Linear" },
+  { id: "step", name: "Step loading" },
+  { id: "wave", name: "Wave" },
+  { id: "rpe", name: "RPE ramp" }
+];
+
+export const DELOAD_RULES = [
+  { id: "last", name: "Last week" },
+  { id: "every4", name: "Every 4th week" },
+  { id: "none", name: "No deload" }
+];
+
+// Progression steps above week 1 for the n-th loading week (0-based)
+const TEMPLATE_STEPS = {
+  linear: (n) => n,
+  step: (n) => Math.floor(n / 3) + (n % 3),      // 0 1 2 | 1 2 3 | ...
+  wave: (n) => (n % 2 === 0 ? n / 2 : (n + 3) / 2), // 0 2 1 3 2 4
+  rpe: () => 0
+};
+
+const RPE_RAMP = 0.5; // RPE added per loading week in the RPE ramp
+
+const isDeload = (rule, week, weeks) =>
+  (rule === "last" && week === weeks - 1 && weeks > 1) || (rule === "every4" && (week + 1) % 4 === 0);
+
+// baseSets:    week-1 working sets [{ reps, weight }]
+// step(w):     one progression step for a set of weight w
+// feltStep(felt, w): how a logged felt rating moves later weeks (0 for easy/solid)
+// weekFelts:   post-session ratings by block week (0-based), see feltsByWeek
+// Returns [{ week, deload, adjust, sets: [{ reps, weight }], warmups }]
+export function planBlock(baseSets, {
+  weeks, template, deloadRule, deloadPct, targetRpe = 8,
+  step, feltStep, weekFelts = {}, loadOpts, warmupsFor
+}) {
+  const out = [];
+  let loadingWeek = 0;
+  for (let week = 0; week < weeks; week++) {
+    const deload = isDeload(deloadRule, week, weeks);
+    const n = deload ? Math.max(0, loadingWeek - 1) : loadingWeek++;
+    const rpe = Math.min(10, targetRpe + RPE_RAMP * n);
+
+    let adjust = 0;
+    let sets = baseSets.map((s, i) => {
+      // Feedback from rated weeks before this one carries forward
+      const fb = Object.entries(weekFelts)
+        .filter(([w]) => Number(w) < week)
+        .reduce((sum, [, felt]) => sum + feltStep(felt, s.weight), 0);
+      if (i === 0) adjust = fb;
+      let weight = s.weight + TEMPLATE_STEPS[template](n) * step(s.weight) + fb;
+      if (template === "rpe" && typeof s.reps === "number") {
+        weight = (s.weight * rpePercent(s.reps, rpe)) / rpePercent(s.reps, targetRpe) + fb;
+      }
+      return { reps: s.reps, weight: roundLoad(deload ? (weight * deloadPct) / 100 : weight, loadOpts) };
+    });
+    if (deload) sets = sets.slice(0, Math.max(1, Math.ceil(sets.length / 2)));
+
+    out.push({
+      week: week + 1,
+      deload,
+      adjust,
+      rpe: template === "rpe" && !deload ? rpe : null,
+      sets,
+      warmups: warmupsFor(sets[0]?.weight || 0)
+    });
+  }
+  return out;
+}
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Block week (0-based) an ISO date falls in; negative before the block started
+export const blockWeek = (start, date) => Math.floor((Date.parse(date) - Date.parse(start)) / WEEK_MS);
+
+// { [week]: felt } from logged sessions. Several sessions in one week count once, as the
+// latest; a skipped week simply has no entry.
+export function feltsByWeek(sessions, start) {
+  const out = {};
+  for (const s of [...sessions].sort((a, b) => a.date.localeCompare(b.date))) {
+    const week = blockWeek(start, s.date);
+    if (week >= 0 && s.felt) out[week] = s.felt;
+  }
+  return out;
+}
+
+const STORAGE_KEY = "lift-calculator.block.v1";
+
+// The running block: { start, weeks, template, deloadRule, deloadPct, lifts: { [lift]: snapshot } }
+export const loadBlock = () => loadJson(STORAGE_KEY, null);
+
+// null ends the block
+export const saveBlock = (block) => saveJson(STORAGE_KEY, block);
@@ -0,0 +1,30 @@
+import { describe, it, expect } from "vitest";
+import { planBlock, feltsByWeek } from "./block.js";
+
+const start = "2026-01-05T12:00:00.000Z";
+const day = (n) => new Date(Date.parse(start) + n * 86400000).toISOString();
+
+describe("block feedback", () => {
+  it("keys ratings by block week, the latest session of a week winning", () => {
+    const sessions = [
+      { date: day(1), felt: "hard" },
+      { date: day(3), felt: "solid" },
+      { date: day(15), felt: "missed" },
+      { date: day(-2), felt: "missed" }
+    ];
+    expect(feltsByWeek(sessions, start)).toEqual({ 0: "solid", 2: "missed" });
+  });
+
+  it("pulls back only the weeks after a rated week", () => {
+    const weeks = planBlock([{ reps: 5, weight: 100 }], {
+      weeks: 4, template: "linear", deloadRule: "none", deloadPct: 85,
+      step: () => 2.5,
+      feltStep: (felt) => (felt === "missed" ? -5 : 0),
+      weekFelts: { 1: "missed" },
+      loadOpts: { bar: 20, step: 2.5, mode: "nearest" },
+      warmupsFor: () => []
+    });
+    expect(weeks.map((w) => w.sets[0].weight)).toEqual([100, 102.5, 100, 102.5]);
+    expect(weeks.map((w) => w.adjust)).toEqual([0, 0, -5, -5]);
+  });
+});
@@ -0,0 +1,199 @@
+import { formatWeight } from "./equipment.js";
+import { formatReps } from "./notation.js";
+import { loadingText } from "./exportCard.js";
+import { FEELS } from "./engine.js";
+import { downloadBlob } from "./storage.js";
+
+// CSV in and out of the training log. Import maps a spreadsheet's columns onto
+// { date, lift, set, type, reps, weight, rpe, unit, felt } — guessed from the header for our own export and
+// common training apps (Strong, Hevy, FitNotes), editable by the user — and groups the rows into
+// history sessions (see history.js), one per lift per day.
+
+export const CSV_FIELDS = [
+  { id: "date", label: "Date", required: true },
+  { id: "lift", label: "Lift / exercise", required: true },
+  { id: "set", label: "Set #" },
+  { id: "type", label: "Set type" },
+  { id: "reps", label: "Reps", required: true },
+  { id: "weight", label: "Weight", required: true },
+  { id: "rpe", label: "RPE" },
+  { id: "unit", label: "Unit" },
+  { id: "felt", label: "Felt" }
+];
+
+// Header names per field, lowercased; the first column matching any of them wins
+const ALIASES = {
+  date: ["date", "start_time", "workout date", "day"],
+  lift: ["lift", "exercise", "exercise name", "exercise_title", "movement"],
+  set: ["set", "set order", "set_index", "set number", "set #"],
+  type: ["set_type", "set type"],
+  reps: ["reps", "repetitions", "rep"],
+  weight: ["weight", "weight_kg", "weight_lbs", "weight (kgs)", "weight (lbs)", "load", "kg", "lb", "lbs"],
+  rpe: ["rpe", "effort"],
+  unit: ["unit", "units", "weight unit"],
+  felt: ["felt", "feel"]
+};
+
+// Splits CSV text into rows of cells. Handles quoted cells ("a, b", doubled "" quotes) and
+// guesses the delimiter (comma, semicolon or tab) from the first line.
+export function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const first = src.split(/\r?\n/, 1)[0] ?? "";
+  const delimiter = [",", ";", "\t"].reduce((best, d) => (first.split(d).length > first.split(best).length ? d : best), ",");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delimiter) { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// { field: column index | null } from a header row
+export function guessMapping(header) {
+  const names = header.map((h) => h.trim().toLowerCase());
+  const mapping = {};
+  for (const { id } of CSV_FIELDS) {
+    const idx = names.findIndex((n) => ALIASES[id].includes(n));
+    mapping[id] = idx === -1 ? null : idx;
+  }
+  return mapping;
+}
+
+// Unit implied by the weight column's name ("weight_kg", "Weight (lbs)"), else null
+export function headerUnit(name) {
+  if (/\blbs?\b|_lbs?\b|\(lbs?\)/i.test(name ?? "")) return "lb";
+  if (/\bkgs?\b|_kg\b|\(kgs?\)/i.test(name ?? "")) return "kg";
+  return null;
+}
+
+// "Squat (Barbell)", "Back squat" -> "Squat"; anything else keeps its own name
+export function canonicalLift(name) {
+  const n = name.replace(/\(.*?\)/g, "").replace(/\bbarbell\b/i, "").trim().toLowerCase();
+  if (["squat", "back squat", "high bar squat", "low bar squat"].includes(n)) return "Squat";
+  if (["bench", "bench press", "flat bench press"].includes(n)) return "Bench";
+  if (["deadlift", "conventional deadlift"].includes(n)) return "Deadlift";
+  return name.trim();
+}
+
+// Decimal commas ("62,5") are accepted
+const number = (s) => {
+  const v = parseFloat(String(s ?? "").trim().replace(",", "."));
+  return Number.isFinite(v) ? v : null;
+};
+
+// ISO / anything Date.parse reads, plus day-first "31/01/2026" and "31.01.2026".
+// Bare dates are taken as local midday so they stay on the same day in any time zone.
+function parseDate(s) {
+  const text = String(s ?? "").trim();
+  const ymd = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const dmy = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})(?:[ T](\d{1,2}):(\d{2}))?/);
+  const d = ymd ? new Date(+ymd[1], +ymd[2] - 1, +ymd[3], 12)
+    : dmy ? new Date(+dmy[3], +dmy[2] - 1, +dmy[1], +(dmy[4] ?? 12), +(dmy[5] ?? 0))
+    : new Date(text);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// How a session felt when the file doesn't say: from its hardest set's RPE, if any
+const feltFromRpe = (rpe) => (rpe == null ? "solid" : rpe >= 10 ? "hard" : rpe <= 7 ? "easy" : "solid");
+
+// Compact pattern for logged reps: [5, 5, 5] -> "3x5", [6, 6, 5] -> "6-6-5"
+const repsPattern = (reps) => (reps.every((r) => r === reps[0]) ? (reps.length > 1 ? `${reps.length}x${reps[0]}` : String(reps[0])) : reps.join("-"));
+
+// Data rows -> { sessions, skipped } with sessions shaped for history.js, newest first.
+// Set numbers starting with "W" (Strong, our export) or a "warmup" set type (Hevy) go to warm-ups.
+export function rowsToSessions(rows, mapping, { unit = "kg" } = {}) {
+  const cell = (row, field) => (mapping[field] == null ? "" : row[mapping[field]] ?? "");
+  const groups = new Map();
+  let skipped = 0;
+  rows.forEach((row, order) => {
+    const date = parseDate(cell(row, "date"));
+    const lift = cell(row, "lift").trim();
+    const repsCell = cell(row, "reps").trim();
+    const reps = number(repsCell);
+    const weight = number(cell(row, "weight"));
+    if (!date || !lift || !reps || weight == null) {
+      skipped++;
+      return;
+    }
+    const u = /^lb/i.test(cell(row, "unit").trim()) ? "lb" : /^kg/i.test(cell(row, "unit").trim()) ? "kg" : unit;
+    const label = canonicalLift(lift);
+    const key = `${date.toDateString()}|${label}`;
+    const felt = cell(row, "felt").trim().toLowerCase();
+    if (!groups.has(key)) groups.set(key, { date, lift: label, unit: u, felt: FEELS.includes(felt) ? felt : null, rows: [] });
+    const setNo = cell(row, "set").trim();
+    groups.get(key).rows.push({
+      order: number(setNo) ?? order,
+      warmup: /^w/i.test(setNo) || /^warm/i.test(cell(row, "type").trim()),
+      reps: Math.round(reps),
+      amrap: repsCell.endsWith("+"),
+      weight,
+      rpe: number(cell(row, "rpe"))
+    });
+  });
+
+  const sessions = [...groups.values()].map((g) => {
+    const sorted = g.rows.sort((a, b) => a.order - b.order);
+    const work = sorted.filter((r) => !r.warmup);
+    const sets = (work.length ? work : sorted).map(({ reps, amrap, weight, rpe }) => ({ reps, amrap, weight, ...(rpe != null && { rpe }) }));
+    const rpes = sets.map((s) => s.rpe).filter((r) => r != null);
+    return {
+      date: g.date.toISOString(),
+      lift: g.lift,
+      unit: g.unit,
+      pattern: repsPattern(sets.map((s) => s.reps)),
+      sets,
+      felt: g.felt ?? feltFromRpe(rpes.length ? Math.max(...rpes) : null),
+      warmups: work.length ? sorted.filter((r) => r.warmup).map(({ reps, weight }) => ({ reps, weight })) : [],
+      source: "csv"
+    };
+  });
+  return { sessions: sessions.sort((a, b) => b.date.localeCompare(a.date)), skipped };
+}
+
+// Quotes cells that need it
+const toCsv = (rows) => rows.map((r) => r.map((c) => {
+  const s = c == null ? "" : String(c);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}).join(",")).join("\n");
+
+// Logged history, one row per set (warm-ups marked W1, W2, …); reads back in with guessMapping
+export function historyToCsv(sessions) {
+  const rows = [["date", "lift", "set", "reps", "weight", "unit", "rpe", "felt"]];
+  for (const s of [...sessions].sort((a, b) => a.date.localeCompare(b.date))) {
+    const date = s.date.slice(0, 10);
+    s.warmups.forEach((w, i) => rows.push([date, s.lift, `W${i + 1}`, w.reps, w.weight, s.unit, "", s.felt]));
+    s.sets.forEach((x, i) => rows.push([date, s.lift, i + 1, formatReps(x), x.weight, s.unit, x.rpe ?? "", s.felt]));
+  }
+  return toCsv(rows);
+}
+
+// Today's generated plan from the session cards (see exportCard.js)
+export function planToCsv(cards, { unit, date }) {
+  const rows = [["date", "lift", "set", "reps", "weight", "unit", "rest_seconds", "plates"]];
+  for (const card of cards) {
+    let warm = 0;
+    let work = 0;
+    for (const r of card.rows) {
+      const set = r.kind === "warmup" ? `W${++warm}` : ++work;
+      rows.push([date, card.lift, set, formatReps(r), formatWeight(r.weight), unit, r.rest ?? "", loadingText(r.loading)]);
+    }
+  }
+  return toCsv(rows);
+}
+
+export const downloadCsv = (text, filename) => downloadBlob(new Blob([text], { type: "text/csv" }), filename);
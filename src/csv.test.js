@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import { parseCsv, guessMapping, headerUnit, canonicalLift, rowsToSessions, historyToCsv } from "./csv.js";
+
+describe("parseCsv", () => {
+  it("handles quotes, CRLF and semicolon files", () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n')).toEqual([["a", "b"], ["x, y", 'say "hi"']]);
+    expect(parseCsv("date;weight\n2026-01-05;62,5\n")).toEqual([["date", "weight"], ["2026-01-05", "62,5"]]);
+  });
+});
+
+describe("guessMapping", () => {
+  it("recognises Strong and Hevy headers", () => {
+    const strong = ["Date", "Workout Name", "Exercise Name", "Set Order", "Weight", "Reps", "Distance", "Seconds", "Notes", "Workout Notes", "RPE"];
+    expect(guessMapping(strong)).toMatchObject({ date: 0, lift: 2, set: 3, weight: 4, reps: 5, rpe: 10, unit: null });
+    const hevy = ["title", "start_time", "end_time", "description", "exercise_title", "superset_id", "exercise_notes", "set_index", "set_type", "weight_kg", "reps"];
+    expect(guessMapping(hevy)).toMatchObject({ date: 1, lift: 4, set: 7, type: 8, weight: 9, reps: 10 });
+    expect(headerUnit("weight_kg")).toBe("kg");
+    expect(headerUnit("Weight (lbs)")).toBe("lb");
+  });
+
+  it("maps app lift names onto the main lifts", () => {
+    expect(canonicalLift("Squat (Barbell)")).toBe("Squat");
+    expect(canonicalLift("Bench Press (Barbell)")).toBe("Bench");
+    expect(canonicalLift("Romanian Deadlift")).toBe("Romanian Deadlift");
+  });
+});
+
+describe("rowsToSessions", () => {
+  const header = ["Date", "Exercise Name", "Set Order", "Weight", "Reps", "RPE"];
+  const rows = [
+    ["2026-01-05 18:00:00", "Squat (Barbell)", "W", "60", "5", ""],
+    ["2026-01-05 18:00:00", "Squat (Barbell)", "1", "100", "5", "8"],
+    ["2026-01-05 18:00:00", "Squat (Barbell)", "2", "100", "5", "10"],
+    ["2026-01-05 18:00:00", "Bench Press (Barbell)", "1", "70", "6", ""],
+    ["2026-01-12 18:00:00", "Squat (Barbell)", "1", "102,5", "5", ""],
+    ["not a date", "Squat (Barbell)", "1", "100", "5", ""]
+  ];
+
+  it("groups sets per lift per day, newest first", () => {
+    const { sessions, skipped } = rowsToSessions(rows, guessMapping(header), { unit: "kg" });
+    expect(skipped).toBe(1);
+    expect(sessions.map((s) => s.lift)).toEqual(["Squat", "Squat", "Bench"]);
+    expect(sessions[0]).toMatchObject({ pattern: "5", sets: [{ reps: 5, weight: 102.5 }], felt: "solid" });
+    expect(sessions[1]).toMatchObject({ pattern: "2x5", felt: "hard", warmups: [{ reps: 5, weight: 60 }] });
+  });
+
+  it("keeps Hevy warm-up sets out of the working sets", () => {
+    const hevy = ["start_time", "exercise_title", "set_index", "set_type", "weight_kg", "reps"];
+    const data = [
+      ["5 Jan 2026, 18:00", "Squat (Barbell)", "0", "warmup", "60", "5"],
+      ["5 Jan 2026, 18:00", "Squat (Barbell)", "1", "normal", "100", "5"],
+      ["5 Jan 2026, 18:00", "Squat (Barbell)", "2", "normal", "100", "5"]
+    ];
+    const [session] = rowsToSessions(data, guessMapping(hevy)).sessions;
+    expect(session).toMatchObject({ pattern: "2x5", warmups: [{ reps: 5, weight: 60 }] });
+    expect(session.sets.map((x) => x.weight)).toEqual([100, 100]);
+  });
+
+  it("reads its own export back", () => {
+    const { sessions } = rowsToSessions(rows, guessMapping(header), { unit: "kg" });
+    const [head, ...data] = parseCsv(historyToCsv(sessions));
+    const again = rowsToSessions(data, guessMapping(head)).sessions;
+    expect(again.map(({ lift, unit, pattern, sets, felt, warmups }) => ({ lift, unit, pattern, sets, felt, warmups })))
+      .toEqual(sessions.map(({ lift, unit, pattern, sets, felt, warmups }) => ({ lift, unit, pattern, sets, felt, warmups })));
+  });
+});
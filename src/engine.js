@@ -0,0 +1,211 @@
+// Calculation engine: pure functions, no React, no storage. Both calculators and any
+// script can import it.
+//
+//   import { planSession } from "./src/engine.js";
+//   planSession({
+//     lift: "Squat",
+//     pattern: "3x6",                        // working-set notation, see notation.js ("3x6", "1x3 @ top, 3x5 @ -10%")
+//     lastWeights: [60, 62.5, 65],           // or "60, 62.5, 65"
+//     felt: "solid",                         // easy | solid | hard | missed
+//     rules: { progressionMode: "kg" },      // see DEFAULT_RULES
+//     equipment: { unit: "kg", bar: 20 },    // see DEFAULT_EQUIPMENT
+//     locale: "en"                           // how loads in the pattern are typed ("62,5" in nl / de / es)
+//   });
+//   // -> { workingSets: [{ reps, amrap, rest, weight, pct }], warmups: [{ reps, weight }], e1rm, tm,
+//   //      errors: [{ pos, key, values }],    pattern errors; the sets that did parse and resolve are still planned
+//   //      lastRepsErrors: [{ pos, key, values }],  errors in rules.lastReps (RPE progression)
+//   //      issues: [{ field, key, values }],  invalid inputs, see guards.js
+//   //      notes: [{ kind: "adjusted" | "warning", key, values }] }   every change the guard rails made
+//   // Messages are keys into locales/*.js with their numbers unformatted; translator().message shows them.
+
+import { roundTo, roundLoad } from "./equipment.js";
+import { UNIT_DEFAULTS } from "./units.js";
+import { trainingMax } from "./scheme.js";
+import { parseWorkingSets, resolveWorkingSets } from "./notation.js";
+import { estimate1RM, prescribeLoad, toRpe } from "./oneRM.js";
+import { BUILT_IN_PROTOCOLS, parseProtocol, generateWarmups } from "./warmups.js";
+import { checkInputs, oneRmWarnings, MAX_JUMP_RANGE } from "./guards.js";
+import { findLift, liftIncrements } from "./lifts.js";
+
+export const FEELS = ["easy", "solid", "hard", "missed"];
+
+export const DEFAULT_EQUIPMENT = { unit: "kg", bar: 20, rounding: 2.5, roundingMode: "nearest", collar: 0 };
+
+export const DEFAULT_RULES = {
+  planMode: "lastWeek",          // lastWeek | percent
+  progressionMode: "kg",         // kg (fixed load in the unit) | percent | rpe
+  kgInc: null,                   // null = unit / lift default
+  pctInc: { easy: 5, solid: 2.5, hard: 0, missed: -2.5 },
+  // rpe progression
+  lastReps: "",                  // blank = same as pattern
+  efforts: "",                   // last week's RPE or RIR per set
+  effortScale: "rpe",            // rpe | rir
+  e1rmFormula: "epley",
+  targetRpe: "8",
+  // percent mode
+  oneRM: 0,
+  trainingMaxPct: 90,
+  // warm-ups
+  warmupSteps: BUILT_IN_PROTOCOLS[0].steps,
+  wuOffset: null,                // null = unit default; clamped to the unit's range
+  superHeavy: false,
+  maxJumpPct: 10                 // cap on a set's rise over last week, % (null = no cap)
+};
+
+// "3x6" -> { sets: 3, reps: [6, 6, 6] }; "6-6-5" / "6,6,5" -> reps as listed; anything unreadable -> no sets
+export function parseSetsPattern(s, locale = "en") {
+  const { sets, errors } = parseWorkingSets(s, { locale });
+  if (errors.length) return { sets: 0, reps: [] };
+  return { sets: sets.length, reps: sets.map((x) => x.reps) };
+}
+
+export const parseNumberList = (s) => (s ?? "").split(/[\n,]+/).map((t) => parseFloat(t.trim())).filter((n) => !isNaN(n));
+
+// Per-set value from a list, repeating the last entry when the list is shorter
+const nth = (arr, i, fallback) => arr[i] ?? arr[arr.length - 1] ?? fallback;
+
+// Cleared number fields arrive as NaN; they count as "no change"
+const num = (v) => (Number.isFinite(v) ? v : 0);
+
+// Default table for a lift (name or catalogue entry, see lifts.js)
+export const defaultIncrements = (lift, unit = "kg") => liftIncrements(typeof lift === "object" ? lift : findLift(lift), unit);
+
+// One week's change for a set of `weight` under the rule for `felt`
+export function progressionStep(rules, felt, weight) {
+  return rules.progressionMode === "percent"
+    ? (weight * num(rules.pctInc?.[felt])) / 100
+    : num(rules.kgInc?.[felt]);
+}
+
+const loadOptsFor = (eq) => ({ bar: eq.bar, step: eq.rounding, mode: eq.roundingMode, collar: eq.collar });
+
+export function warmupsFor(firstSet, rules, equipment) {
+  const eq = { ...DEFAULT_EQUIPMENT, ...equipment };
+  const r = { ...DEFAULT_RULES, ...rules };
+  const { wuOffset, wuOffsetRange: [minOffset, maxOffset], wuMaxJump } = UNIT_DEFAULTS[eq.unit];
+  const offset = Number.isFinite(r.wuOffset) ? r.wuOffset : wuOffset;
+  return generateWarmups(firstSet, parseProtocol(r.warmupSteps), {
+    isHeavy: r.superHeavy,
+    offset: Math.max(minOffset, Math.min(maxOffset, offset)),
+    loadOpts: loadOptsFor(eq),
+    maxJump: wuMaxJump
+  });
+}
+
+// Last week + felt delta for set i. More sets than weights repeat the last weight;
+// fewer sets use the first weights. Loads below the bar are raised to it (and noted).
+function lastWeekPlanner(lastWeights, felt, r, loadOpts, note) {
+  let delta = num(r.kgInc[felt]);
+  if (r.progressionMode === "percent") {
+    const avg = lastWeights.length ? lastWeights.reduce((a, b) => a + b, 0) / lastWeights.length : 0;
+    delta = roundTo((avg * num(r.pctInc[felt])) / 100, loadOpts.step, loadOpts.mode);
+  }
+  return (i) => {
+    const raw = nth(lastWeights, i, 0) + delta;
+    if (lastWeights.length && raw < loadOpts.bar) {
+      note("notes.raisedToBar", { set: i + 1, weight: raw, bar: loadOpts.bar });
+    }
+    return roundLoad(raw, loadOpts);
+  };
+}
+
+// Caps set i at last week's weight + maxJumpPct (always allowing one rounding step)
+function capJump(planned, lastWeights, r, loadOpts, note) {
+  const pct = r.maxJumpPct;
+  if (!lastWeights.length || !Number.isFinite(pct) || pct < MAX_JUMP_RANGE[0] || pct > MAX_JUMP_RANGE[1]) return planned;
+  return (i) => {
+    const weight = planned(i);
+    const last = nth(lastWeights, i, 0);
+    const limit = Math.max(roundLoad(last * (1 + pct / 100), { ...loadOpts, mode: "down" }), last + loadOpts.step);
+    if (weight <= limit) return weight;
+    note("notes.capped", { set: i + 1, weight, pct, last, limit });
+    return limit;
+  };
+}
+
+export function planSession({ lift, pattern = "", lastWeights = [], felt = "solid", rules = {}, equipment = {}, locale = "en" }) {
+  const eq = { ...DEFAULT_EQUIPMENT, ...equipment };
+  const r = { ...DEFAULT_RULES, ...rules };
+  if (!r.kgInc) r.kgInc = defaultIncrements(lift, eq.unit);
+  const loadOpts = loadOptsFor(eq);
+
+  const weights = Array.isArray(lastWeights) ? lastWeights.filter(Number.isFinite) : parseNumberList(lastWeights);
+  const parsed = parseWorkingSets(pattern, { locale });
+  const reps = parsed.sets.map((s) => s.reps);
+  // Last week's reps when they differ from the pattern; unreadable ones give no e1RM
+  const lastRepsParsed = r.lastReps.trim() ? parseWorkingSets(r.lastReps, { locale }) : null;
+  const lastReps = !lastRepsParsed ? reps : lastRepsParsed.errors.length ? [] : lastRepsParsed.sets.map((s) => s.reps);
+
+  const issues = checkInputs({
+    weightsText: Array.isArray(lastWeights) ? "" : lastWeights,
+    weights,
+    rules: r,
+    unit: eq.unit,
+    bar: eq.bar,
+    hasSets: parsed.sets.length > 0,
+    lastRepsUnreadable: Boolean(lastRepsParsed?.errors.length)
+  });
+  const notes = [];
+  const note = (key, values = {}) => {
+    if (!notes.some((n) => n.key === key && JSON.stringify(n.values) === JSON.stringify(values))) notes.push({ kind: "adjusted", key, values });
+  };
+
+  // Best e1RM across last week's sets
+  const efforts = parseNumberList(r.efforts).map((v) => toRpe(v, r.effortScale));
+  const e1rm = weights.reduce(
+    (best, w, i) => Math.max(best, estimate1RM(w, nth(lastReps, i, 0), nth(efforts, i, 10), r.e1rmFormula)),
+    0
+  );
+
+  const tm = trainingMax(r.oneRM, r.trainingMaxPct);
+  let resolved;
+  const fromLastWeek = new Set(); // sets whose weight came from last week's list
+  if (r.planMode === "percent") {
+    resolved = resolveWorkingSets(parsed.sets, { planned: null, tm, unit: eq.unit, loadOpts });
+  } else if (r.progressionMode === "rpe") {
+    const targets = parseNumberList(r.targetRpe);
+    const planned = (i) => roundLoad(prescribeLoad(e1rm, reps[i], nth(targets, i, 8), r.e1rmFormula), loadOpts);
+    resolved = resolveWorkingSets(parsed.sets, { planned: capJump(planned, weights, r, loadOpts, note), unit: eq.unit, loadOpts });
+  } else if (parsed.sets.length) {
+    const planned = capJump(lastWeekPlanner(weights, felt, r, loadOpts, note), weights, r, loadOpts, note);
+    resolved = resolveWorkingSets(parsed.sets, { planned: (i) => { fromLastWeek.add(i); return planned(i); }, unit: eq.unit, loadOpts });
+  } else {
+    // No readable pattern: one set per weight, reps unknown
+    const planned = capJump(lastWeekPlanner(weights, felt, r, loadOpts, note), weights, r, loadOpts, note);
+    resolved = { sets: weights.map((_, i) => ({ reps: "?", amrap: false, rest: null, pct: null, weight: planned(i) })), errors: [] };
+  }
+  const workingSets = resolved.sets;
+  const errors = [...parsed.errors, ...resolved.errors].sort((a, b) => a.pos - b.pos);
+
+  if (weights.length && [...fromLastWeek].some((i) => i >= weights.length)) {
+    note("notes.repeatLast", { sets: fromLastWeek.size, count: weights.length, weight: weights[weights.length - 1] });
+  }
+  const table = r.progressionMode === "percent" ? r.pctInc : r.kgInc;
+  if (r.planMode !== "percent" && r.progressionMode !== "rpe" && weights.length && !Number.isFinite(table?.[felt])) {
+    note("notes.incBlank", { felt });
+  }
+  const { wuOffset, wuOffsetRange: [lo, hi] } = UNIT_DEFAULTS[eq.unit];
+  if (r.wuOffset != null && !Number.isFinite(r.wuOffset)) note("notes.wuOffsetBlank", { value: wuOffset, unit: eq.unit });
+  else if (r.wuOffset != null && (r.wuOffset < lo || r.wuOffset > hi)) {
+    note("notes.wuOffsetRange", { value: r.wuOffset, unit: eq.unit, lo, hi, used: Math.max(lo, Math.min(hi, r.wuOffset)) });
+  }
+  if (r.planMode !== "percent" && !weights.length && parsed.sets.length) {
+    notes.push({ kind: "warning", key: "notes.noWeights", values: {} });
+  }
+  if (r.planMode !== "percent" && r.progressionMode === "rpe" && weights.length && !(e1rm > 0)) {
+    notes.push({ kind: "warning", key: "notes.noE1rm", values: {} });
+  }
+  workingSets.forEach((s, i) => {
+    if (!(s.weight > 0)) notes.push({ kind: "warning", key: "notes.noLoad", values: { set: i + 1 } });
+  });
+  const known = r.planMode === "percent" && r.oneRM > 0;
+  notes.push(...oneRmWarnings(workingSets, { oneRM: known ? r.oneRM : e1rm, known, unit: eq.unit }));
+
+  const lastRepsErrors = lastRepsParsed?.errors ?? [];
+  return { e1rm, tm, workingSets, warmups: warmupsFor(workingSets[0]?.weight || 0, r, eq), errors, lastRepsErrors, issues, notes };
+}
+
+// Shared helpers for the legacy calculator and scripts
+export { roundTo, roundLoad } from "./equipment.js";
+export { parseWorkingSets, resolveWorkingSets } from "./notation.js";
+export { trainingMax } from "./scheme.js";
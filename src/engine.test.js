@@ -0,0 +1,203 @@
+import { describe, it, expect } from "vitest";
+import { planSession, parseSetsPattern, progressionStep, warmupsFor } from "./engine.js";
+
+const weightsOf = (sets) => sets.map((s) => s.weight);
+
+describe("parseSetsPattern", () => {
+  it("reads NxM and rep lists", () => {
+    expect(parseSetsPattern("3x6")).toEqual({ sets: 3, reps: [6, 6, 6] });
+    expect(parseSetsPattern("5 X 5")).toEqual({ sets: 5, reps: [5, 5, 5, 5, 5] });
+    expect(parseSetsPattern("6-6-5")).toEqual({ sets: 3, reps: [6, 6, 5] });
+    expect(parseSetsPattern("6, 6, 5")).toEqual({ sets: 3, reps: [6, 6, 5] });
+  });
+
+  it("returns no sets for empty or unknown input", () => {
+    expect(parseSetsPattern("")).toEqual({ sets: 0, reps: [] });
+    expect(parseSetsPattern(undefined)).toEqual({ sets: 0, reps: [] });
+    expect(parseSetsPattern("heavy")).toEqual({ sets: 0, reps: [] });
+  });
+});
+
+describe("planSession", () => {
+  it("adds the felt increment to last week", () => {
+    const { workingSets } = planSession({ lift: "Squat", pattern: "3x6", lastWeights: [60, 62.5, 65], felt: "solid" });
+    expect(workingSets).toEqual([
+      { reps: 6, amrap: false, rest: null, weight: 62.5, pct: null },
+      { reps: 6, amrap: false, rest: null, weight: 65, pct: null },
+      { reps: 6, amrap: false, rest: null, weight: 67.5, pct: null }
+    ]);
+  });
+
+  it("uses the upper-body table for Bench", () => {
+    const { workingSets } = planSession({ lift: "Bench", pattern: "1x5", lastWeights: "50", felt: "easy" });
+    expect(weightsOf(workingSets)).toEqual([52.5]);
+  });
+
+  describe("mismatched set counts", () => {
+    it("repeats the last weight when the pattern has more sets", () => {
+      const { workingSets } = planSession({ lift: "Squat", pattern: "4x5", lastWeights: [60, 65], felt: "hard" });
+      expect(weightsOf(workingSets)).toEqual([60, 65, 65, 65]);
+    });
+
+    it("uses the first weights when the pattern has fewer sets", () => {
+      const { workingSets } = planSession({ lift: "Squat", pattern: "2x5", lastWeights: [60, 62.5, 65], felt: "hard" });
+      expect(weightsOf(workingSets)).toEqual([60, 62.5]);
+    });
+
+    it("falls back to one set per weight when the pattern is unreadable", () => {
+      const { workingSets } = planSession({ lift: "Squat", pattern: "heavy", lastWeights: [60, 65], felt: "hard" });
+      expect(workingSets.map((s) => s.reps)).toEqual(["?", "?"]);
+      expect(weightsOf(workingSets)).toEqual([60, 65]);
+    });
+  });
+
+  describe("empty inputs", () => {
+    it("plans nothing without a pattern or weights", () => {
+      expect(planSession({ lift: "Squat" })).toMatchObject({ workingSets: [], warmups: [], e1rm: 0 });
+      expect(planSession({ lift: "Squat", pattern: "", lastWeights: "" }).workingSets).toEqual([]);
+    });
+
+    it("never suggests less than the bar", () => {
+      const { workingSets } = planSession({ lift: "Squat", pattern: "3x5", lastWeights: "", felt: "missed" });
+      expect(weightsOf(workingSets)).toEqual([20, 20, 20]);
+    });
+
+    it("ignores non-numeric weights", () => {
+      const { workingSets } = planSession({ lift: "Squat", pattern: "2x5", lastWeights: "60, abc", felt: "hard" });
+      expect(weightsOf(workingSets)).toEqual([60, 60]);
+    });
+  });
+
+  describe("NaN increments from cleared number fields", () => {
+    it("treats a cleared kg increment as no change", () => {
+      const rules = { kgInc: { easy: 5, solid: NaN, hard: 0, missed: -2.5 } };
+      const { workingSets, warmups } = planSession({ lift: "Squat", pattern: "1x5", lastWeights: [100], felt: "solid", rules });
+      expect(weightsOf(workingSets)).toEqual([100]);
+      expect(warmups.every((w) => Number.isFinite(w.weight))).toBe(true);
+    });
+
+    it("treats a cleared % increment as no change", () => {
+      const rules = { progressionMode: "percent", pctInc: { easy: NaN, solid: NaN, hard: NaN, missed: NaN } };
+      const { workingSets } = planSession({ lift: "Squat", pattern: "1x5", lastWeights: [100], felt: "easy", rules });
+      expect(weightsOf(workingSets)).toEqual([100]);
+    });
+
+    it("gives a zero block step", () => {
+      expect(progressionStep({ progressionMode: "kg", kgInc: { solid: NaN } }, "solid", 100)).toBe(0);
+      expect(progressionStep({ progressionMode: "kg", kgInc: {} }, "solid", 100)).toBe(0);
+    });
+  });
+
+  describe("last warm-up offset outside 5–10 kg", () => {
+    const lastWarmup = (wuOffset) => warmupsFor(100, { wuOffset }, {}).at(-1).weight;
+
+    it("clamps to the range", () => {
+      expect(lastWarmup(7.5)).toBe(92.5);
+      expect(lastWarmup(20)).toBe(90);
+      expect(lastWarmup(1)).toBe(95);
+      expect(lastWarmup(-5)).toBe(95);
+    });
+
+    it("uses the unit default when cleared", () => {
+      expect(lastWarmup(NaN)).toBe(92.5);
+      expect(lastWarmup(null)).toBe(92.5);
+    });
+
+    it("clamps to 10–20 lb in pounds", () => {
+      expect(warmupsFor(225, { wuOffset: 50 }, { unit: "lb", bar: 45, rounding: 5 }).at(-1).weight).toBe(205);
+    });
+  });
+
+  describe("guard rails", () => {
+    const keys = (list) => list.map((n) => n.key);
+
+    it("caps a weekly jump over maxJumpPct and says so", () => {
+      const rules = { kgInc: { easy: 20, solid: 2.5, hard: 0, missed: -2.5 } };
+      const { workingSets, notes } = planSession({ lift: "Squat", pattern: "1x5", lastWeights: [100], felt: "easy", rules });
+      expect(weightsOf(workingSets)).toEqual([110]);
+      expect(notes).toEqual([{ kind: "adjusted", key: "notes.capped", values: { set: 1, weight: 120, pct: 10, last: 100, limit: 110 } }]);
+      const uncapped = planSession({ lift: "Squat", pattern: "1x5", lastWeights: [100], felt: "easy", rules: { ...rules, maxJumpPct: null } });
+      expect(weightsOf(uncapped.workingSets)).toEqual([120]);
+    });
+
+    it("always allows one rounding step", () => {
+      const { workingSets, notes } = planSession({ lift: "Bench", pattern: "1x5", lastWeights: [20], felt: "solid" });
+      expect(weightsOf(workingSets)).toEqual([22.5]);
+      expect(notes).toEqual([]);
+    });
+
+    it("explains loads raised to the bar", () => {
+      const { workingSets, notes } = planSession({ lift: "Squat", pattern: "1x5", lastWeights: [20], felt: "missed" });
+      expect(weightsOf(workingSets)).toEqual([20]);
+      expect(notes).toEqual([{ kind: "adjusted", key: "notes.raisedToBar", values: { set: 1, weight: 17.5, bar: 20 } }]);
+    });
+
+    it("flags missing and unreadable weights and blank increments", () => {
+      const rules = { kgInc: { easy: 5, solid: NaN, hard: 0, missed: -2.5 } };
+      const { issues, notes } = planSession({ lift: "Squat", pattern: "1x5", lastWeights: "100, abc", felt: "solid", rules });
+      expect(issues).toEqual([
+        { field: "lastWeights", key: "issues.ignored", values: { token: "abc" } },
+        { field: "kgInc.solid", key: "issues.incBlank", values: {} }
+      ]);
+      expect(notes).toContainEqual({ kind: "adjusted", key: "notes.incBlank", values: { felt: "solid" } });
+      expect(planSession({ lift: "Squat", pattern: "3x5", lastWeights: "" }).issues.map((i) => i.field)).toEqual(["lastWeights"]);
+    });
+
+    it("reports the warm-up offset clamp", () => {
+      const { issues, notes } = planSession({ lift: "Squat", pattern: "1x5", lastWeights: [100], rules: { wuOffset: 20 } });
+      expect(issues).toEqual([{ field: "wuOffset", key: "issues.wuOffsetRange", values: { lo: 5, hi: 10, unit: "kg", value: 10 } }]);
+      expect(notes).toEqual([{ kind: "adjusted", key: "notes.wuOffsetRange", values: { value: 20, unit: "kg", lo: 5, hi: 10, used: 10 } }]);
+    });
+
+    it("notes repeated weights only for sets planned from last week", () => {
+      const repeated = planSession({ lift: "Squat", pattern: "3x5", lastWeights: [100], felt: "hard" });
+      expect(repeated.notes).toContainEqual({ kind: "adjusted", key: "notes.repeatLast", values: { sets: 3, count: 1, weight: 100 } });
+      const backOffs = planSession({ lift: "Squat", pattern: "1x3 @ top, 3x5 @ -10%", lastWeights: [100], felt: "hard" });
+      expect(weightsOf(backOffs.workingSets)).toEqual([100, 90, 90, 90]);
+      expect(keys(backOffs.notes)).not.toContain("notes.repeatLast");
+    });
+
+    it("flags unreadable last-week reps in RPE mode instead of planning the empty bar", () => {
+      const rules = { progressionMode: "rpe", lastReps: "5 5 5" };
+      const { issues, notes, lastRepsErrors } = planSession({ lift: "Squat", pattern: "3x5", lastWeights: "100,100,100", rules });
+      expect(issues).toContainEqual({ field: "lastReps", key: "issues.lastReps", values: {} });
+      expect(lastRepsErrors[0]).toMatchObject({ pos: 2, key: "notation.unexpected" });
+      expect(keys(notes)).toContain("notes.noE1rm");
+    });
+
+    it("warns when a set is above the known or estimated 1RM", () => {
+      const known = planSession({ lift: "Squat", pattern: "1x1 @ 110%", rules: { planMode: "percent", oneRM: 100, trainingMaxPct: 100 } });
+      expect(known.notes).toEqual([{ kind: "warning", key: "notes.aboveOneRm", values: { set: 1, weight: 110, oneRM: 100, unit: "kg" } }]);
+      const estimated = planSession({ lift: "Squat", pattern: "1x1", lastWeights: [100], felt: "solid" });
+      expect(keys(estimated.notes)).toEqual(["notes.aboveEstimatedOneRm"]);
+      expect(estimated.notes[0].values).toMatchObject({ weight: 102.5, oneRM: 100 });
+    });
+  });
+
+  it("resolves percent schemes from the training max", () => {
+    const rules = { planMode: "percent", oneRM: 100, trainingMaxPct: 90 };
+    const { workingSets, tm } = planSession({ lift: "Squat", pattern: "5x65%, 5x75%, 5x85%", rules });
+    expect(tm).toBe(90);
+    expect(weightsOf(workingSets)).toEqual([57.5, 67.5, 77.5]);
+  });
+
+  it("plans top sets, back-offs and explicit loads from the notation", () => {
+    const { workingSets, errors } = planSession({ lift: "Squat", pattern: "1x3 @ top, 2x5 @ -10% rest 2m, 1x8 @ 60kg", lastWeights: [100], felt: "solid" });
+    expect(errors).toEqual([]);
+    expect(weightsOf(workingSets)).toEqual([102.5, 92.5, 92.5, 60]);
+    expect(workingSets[1].rest).toBe(120);
+  });
+
+  it("keeps the sets that parse and reports the rest", () => {
+    const { workingSets, errors } = planSession({ lift: "Squat", pattern: "3x5, 2x5 @ heavy", lastWeights: [100], felt: "hard" });
+    expect(workingSets).toHaveLength(3);
+    expect(errors).toEqual([{ pos: 11, key: "notation.expectedLoad", values: {} }]);
+  });
+
+  it("prescribes from last week's e1RM in RPE mode", () => {
+    const rules = { progressionMode: "rpe", efforts: "8", targetRpe: "8" };
+    const { workingSets, e1rm } = planSession({ lift: "Squat", pattern: "1x5", lastWeights: [100], rules });
+    expect(e1rm).toBeCloseTo(123.33, 1);
+    expect(weightsOf(workingSets)).toEqual([100]);
+  });
+});
@@ -0,0 +1,47 @@
+// Bar / implement profiles and rounding options.
+
+export const BAR_PROFILES = [
+  { id: "olympic", name: "Olympic bar", kg: 20, lb: 45 },
+  { id: "womens", name: "Women’s bar", kg: 15, lb: 35 },
+  { id: "technique", name: "Technique bar", kg: 10, lb: 15 },
+  { id: "ssb", name: "Safety squat bar", kg: 30, lb: 65 },
+  { id: "trap", name: "Trap bar", kg: 25, lb: 55 },
+  { id: "custom", name: "Custom", kg: null, lb: null }
+];
+
+export const ROUNDING_STEPS = {
+  kg: [0.5, 1, 1.25, 2.5, 5],
+  lb: [1, 2.5, 5, 10]
+};
+
+export const ROUNDING_MODES = [
+  { id: "nearest", name: "Nearest" },
+  { id: "down", name: "Always down" },
+  { id: "up", name: "Always up" }
+];
+
+// Tolerance so 62.5 / 2.5 doesn't ceil to 26 through float noise
+const EPS = 1e-9;
+
+export function roundTo(val, step, mode = "nearest") {
+  if (isNaN(val) || !step) return 0;
+  const q = val / step;
+  if (mode === "down") return Math.floor(q + EPS) * step;
+  if (mode === "up") return Math.ceil(q - EPS) * step;
+  return Math.round(q) * step;
+}
+
+// Rounds a total so the plates (not the bar or collars) land on the step, and never goes below
+// the bar. A loaded bar carries both collars, so nothing lands between bar and bar + 2 collars.
+export function roundLoad(val, { bar, step, mode, collar = 0 }) {
+  if (isNaN(val)) return bar;
+  const loaded = bar + 2 * collar;
+  if (val < loaded) {
+    if (val <= bar || mode === "down") return bar;
+    return mode === "up" || val - bar >= loaded - val ? loaded : bar;
+  }
+  return loaded + roundTo(val - loaded, step, mode);
+}
+
+// 60 -> "60.0", 61.25 -> "61.25"
+export const formatWeight = (w) => (Math.abs(w * 10 - Math.round(w * 10)) < EPS ? w.toFixed(1) : w.toFixed(2));
@@ -0,0 +1,100 @@
+import { formatReps, formatRest } from "./notation.js";
+import { translator } from "./i18n.js";
+import { downloadBlob } from "./storage.js";
+
+// Session cards for the gym floor: plain text / Markdown and a PNG, all built in the browser
+// in the UI language (`locale`, see i18n.js).
+// A card: { lift, rows: [{ kind: "warmup" | "work", reps, amrap, rest, weight, loading }] }
+
+// English loading note, for the CSV export
+export const loadingText = (l) => translator("en").loading(l);
+
+const rowText = (r, unit, tr) =>
+  `${formatReps(r)} × ${tr.weight(r.weight)} ${unit}${r.rest != null ? `, ${tr.t("output.rest", { time: formatRest(r.rest) })}` : ""}`;
+
+const rowLabel = (r, tr) => tr.t(r.kind === "warmup" ? "sets.warmup" : "sets.work");
+
+export function sessionText(cards, { unit, date, locale = "en", markdown = false }) {
+  const tr = translator(locale);
+  const title = tr.t("card.session", { date });
+  const lines = [markdown ? `**${title}**` : title];
+  for (const card of cards) {
+    lines.push("", markdown ? `### ${card.lift}` : card.lift.toLocaleUpperCase(tr.tag));
+    for (const r of card.rows) {
+      const label = rowLabel(r, tr);
+      const load = tr.loading(r.loading);
+      const main = markdown && r.kind === "work" ? `**${rowText(r, unit, tr)}**` : rowText(r, unit, tr);
+      lines.push(`${markdown ? "- " : ""}${label}: ${main}${load ? ` (${load})` : ""}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+export async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  // Older browsers / non-secure contexts
+  const ta = document.createElement("textarea");
+  ta.value = text;
+  document.body.appendChild(ta);
+  ta.select();
+  document.execCommand("copy");
+  ta.remove();
+}
+
+const BRAND = "#ea631b";
+const FONT = "system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif";
+
+export function drawSessionCard(cards, { unit, date, locale = "en" }) {
+  const tr = translator(locale);
+  const width = 720;
+  const pad = 32;
+  const lineH = 30;
+  const rowCount = cards.reduce((n, c) => n + c.rows.length + 2, 0);
+  const scale = window.devicePixelRatio || 1;
+  const canvas = document.createElement("canvas");
+  const height = pad * 2 + 70 + rowCount * lineH;
+  canvas.width = width * scale;
+  canvas.height = height * scale;
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = BRAND;
+  ctx.font = `700 24px ${FONT}`;
+  ctx.fillText(tr.t("card.title"), pad, pad + 24);
+  ctx.fillStyle = "#4b5563";
+  ctx.font = `400 14px ${FONT}`;
+  ctx.fillText(`${date} · Lioness Performance`, pad, pad + 48);
+
+  let y = pad + 70;
+  for (const card of cards) {
+    y += lineH;
+    ctx.fillStyle = BRAND;
+    ctx.font = `700 18px ${FONT}`;
+    ctx.fillText(card.lift, pad, y);
+    for (const r of card.rows) {
+      y += lineH;
+      const work = r.kind === "work";
+      ctx.fillStyle = work ? "#111827" : "#6b7280";
+      ctx.font = `${work ? 600 : 400} 16px ${FONT}`;
+      ctx.fillText(`${rowLabel(r, tr)}  ${rowText(r, unit, tr)}`, pad, y);
+      ctx.textAlign = "right";
+      ctx.font = `400 13px ${FONT}`;
+      ctx.fillStyle = r.loading?.error ? "#dc2626" : "#6b7280";
+      ctx.fillText(tr.loading(r.loading), width - pad, y);
+      ctx.textAlign = "left";
+    }
+    y += lineH / 2;
+  }
+  return canvas;
+}
+
+export function downloadSessionPng(cards, opts) {
+  drawSessionCard(cards, opts).toBlob((blob) => {
+    if (blob) downloadBlob(blob, `session-${opts.date}.png`);
+  }, "image/png");
+}
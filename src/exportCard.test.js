@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { sessionText } from "./exportCard.js";
+
+const cards = [
+  {
+    lift: "Kniebeuge",
+    rows: [
+      { kind: "warmup", reps: 5, amrap: false, rest: null, weight: 40, loading: { plates: [10], error: null } },
+      { kind: "work", reps: 5, amrap: false, rest: 120, weight: 62.5, loading: { plates: [20, 1.25], error: null } }
+    ]
+  }
+];
+
+describe("sessionText", () => {
+  it("writes the card in English by default", () => {
+    expect(sessionText(cards, { unit: "kg", date: "2026-10-19" })).toBe([
+      "Session 2026-10-19",
+      "",
+      "KNIEBEUGE",
+      "Warm‑up: 5 × 40.0 kg (per side 10)",
+      "Work: 5 × 62.5 kg, rest 2:00 (per side 20 · 1.25)"
+    ].join("\n"));
+  });
+
+  it("uses the UI language's labels and decimal mark", () => {
+    const text = sessionText(cards, { unit: "kg", date: "2026-10-19", locale: "de", markdown: true });
+    expect(text.split("\n")[0]).toBe("**Training 2026-10-19**");
+    expect(text).toContain("**5 × 62,5 kg");
+    expect(text).toContain("1,25");
+  });
+});
@@ -0,0 +1,71 @@
+import { UNIT_DEFAULTS } from "./units.js";
+
+// Input checks for planSession. Each issue names the field it belongs to so the form can
+// show it inline: [{ field, key, values }], field like "lastWeights", "kgInc.solid", "wuOffset",
+// key an "issues.*" message (see locales/en.js) and values its numbers, unformatted.
+// The engine still plans around a bad value (blank increments count as 0, the offset is
+// clamped, …); the issue tells the user it did.
+
+const FEELS = ["easy", "solid", "hard", "missed"];
+
+export const MAX_JUMP_RANGE = [1, 50];
+
+// Tokens in a comma / newline list that aren't numbers
+const badTokens = (text) => (text ?? "").split(/[\n,]+/).map((t) => t.trim()).filter((t) => t && !Number.isFinite(Number(t)));
+
+export function checkInputs({ weightsText, weights, rules: r, unit, bar, hasSets, lastRepsUnreadable = false }) {
+  const issues = [];
+  const add = (field, key, values = {}) => issues.push({ field, key, values });
+  const fromLastWeek = r.planMode !== "percent";
+
+  if (fromLastWeek) {
+    for (const t of badTokens(weightsText)) add("lastWeights", "issues.ignored", { token: t });
+    if (hasSets && !weights.length) add("lastWeights", "issues.noWeights");
+    weights.forEach((w, i) => {
+      if (w <= 0) add("lastWeights", "issues.weightNotPositive", { set: i + 1, weight: w });
+      else if (w < bar) add("lastWeights", "issues.weightUnderBar", { set: i + 1, weight: w, bar, unit });
+    });
+
+    if (r.progressionMode === "kg" || r.progressionMode === "percent") {
+      const table = r.progressionMode === "kg" ? "kgInc" : "pctInc";
+      for (const felt of FEELS) {
+        const v = r[table]?.[felt];
+        if (!Number.isFinite(v)) add(`${table}.${felt}`, "issues.incBlank");
+        else if (table === "pctInc" && v <= -100) add(`${table}.${felt}`, "issues.dropAll");
+      }
+    }
+    if (r.progressionMode === "rpe") {
+      const targets = badTokens(r.targetRpe);
+      for (const t of targets) add("targetRpe", "issues.notNumber", { token: t });
+      if ((r.targetRpe ?? "").split(/[\n,]+/).map(Number).some((v) => Number.isFinite(v) && (v < 5 || v > 10))) {
+        add("targetRpe", "issues.rpeRange");
+      }
+      for (const t of badTokens(r.efforts)) add("efforts", "issues.notNumber", { token: t });
+      if (lastRepsUnreadable) add("lastReps", "issues.lastReps");
+    }
+  } else {
+    if (!Number.isFinite(r.oneRM) || r.oneRM <= 0) add("oneRM", "issues.oneRm");
+    if (!Number.isFinite(r.trainingMaxPct) || r.trainingMaxPct < 50 || r.trainingMaxPct > 100) {
+      add("trainingMaxPct", "issues.tmPct");
+    }
+  }
+
+  const [lo, hi] = UNIT_DEFAULTS[unit].wuOffsetRange;
+  if (r.wuOffset != null && !Number.isFinite(r.wuOffset)) add("wuOffset", "issues.wuOffsetBlank", { value: UNIT_DEFAULTS[unit].wuOffset, unit });
+  else if (r.wuOffset != null && (r.wuOffset < lo || r.wuOffset > hi)) add("wuOffset", "issues.wuOffsetRange", { lo, hi, unit, value: Math.max(lo, Math.min(hi, r.wuOffset)) });
+
+  if (r.maxJumpPct != null && (!Number.isFinite(r.maxJumpPct) || r.maxJumpPct < MAX_JUMP_RANGE[0] || r.maxJumpPct > MAX_JUMP_RANGE[1])) {
+    add("maxJumpPct", "issues.maxJump", { lo: MAX_JUMP_RANGE[0], hi: MAX_JUMP_RANGE[1] });
+  }
+  return issues;
+}
+
+// Sets above the 1RM: [{ kind: "warning", key, values }]
+export function oneRmWarnings(workingSets, { oneRM, known, unit }) {
+  if (!(oneRM > 0)) return [];
+  return workingSets
+    .map((s, i) => (s.weight > oneRM
+      ? { kind: "warning", key: known ? "notes.aboveOneRm" : "notes.aboveEstimatedOneRm", values: { set: i + 1, weight: s.weight, oneRM, unit } }
+      : null))
+    .filter(Boolean);
+}
@@ -0,0 +1,40 @@
+// Session history, kept in localStorage (nothing leaves the browser).
+// A session: { id, date, lift, unit, pattern, sets: [{ reps, weight }], felt, warmups: [{ reps, weight }], athleteId }
+// athleteId is null for the lifter's own sessions (no roster athlete selected).
+
+import { loadList, saveJson, newId } from "./storage.js";
+
+const STORAGE_KEY = "lift-calculator.history.v1";
+
+export const loadHistory = () => loadList(STORAGE_KEY);
+
+export const replaceHistory = (list) => saveJson(STORAGE_KEY, list);
+
+export function addSession(session) {
+  const entry = { id: newId(), date: new Date().toISOString(), ...session };
+  return replaceHistory([entry, ...loadHistory()]);
+}
+
+// Bulk insert (CSV import). Sessions already logged for the same lift on the same day are skipped.
+export function addSessions(sessions) {
+  const key = (s) => `${s.athleteId ?? ""}|${s.lift}|${new Date(s.date).toDateString()}`;
+  const existing = loadHistory();
+  const seen = new Set(existing.map(key));
+  const added = sessions
+    .filter((s) => !seen.has(key(s)))
+    .map((s) => ({ id: newId(), ...s }));
+  return replaceHistory([...added, ...existing]);
+}
+
+export function deleteSession(id) {
+  return replaceHistory(loadHistory().filter((s) => s.id !== id));
+}
+
+export const forAthlete = (history, athleteId) => history.filter((s) => (s.athleteId ?? null) === athleteId);
+
+// Newest first
+export function sessionsForLift(history, lift) {
+  return history.filter((s) => s.lift === lift).sort((a, b) => b.date.localeCompare(a.date));
+}
+
+export const latestSession = (history, lift) => sessionsForLift(history, lift)[0] ?? null;
@@ -0,0 +1,152 @@
+import { formatWeight } from "./equipment.js";
+import { formatPlate } from "./plates.js";
+import en from "./locales/en.js";
+import nl from "./locales/nl.js";
+import de from "./locales/de.js";
+import es from "./locales/es.js";
+
+// UI strings and number handling per language. Messages live in src/locales/<id>.js, keyed
+// like "athletes.title"; en.js is the full set and any key missing elsewhere falls back to it.
+// Placeholders are {name}; a `count` var picks "<key>.one" / "<key>.other" by the language's
+// plural rules.
+//
+// Number lists typed by the user ("60, 62.5, 65") follow the language: with a decimal comma
+// "62,5" is one number and entries are separated by ";", spaces or ", ". The engine only ever
+// sees the canonical form from normalizeList.
+
+export const LOCALES = [
+  { id: "en", name: "English", tag: "en" },
+  { id: "nl", name: "Nederlands", tag: "nl-NL" },
+  { id: "de", name: "Deutsch", tag: "de-DE" },
+  { id: "es", name: "Español", tag: "es-ES" }
+];
+
+const MESSAGES = { en, nl, de, es };
+
+const STORAGE_KEY = "lift-calculator.locale.v1";
+
+const known = (id) => LOCALES.some((l) => l.id === id);
+const tagOf = (id) => LOCALES.find((l) => l.id === id)?.tag ?? "en";
+
+// Saved choice, else the browser's language when we have it, else English
+export function loadLocale() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (known(saved)) return saved;
+  } catch {
+    // storage disabled; fall through to the browser language
+  }
+  const browser = typeof navigator === "undefined" ? "" : (navigator.language ?? "").slice(0, 2).toLowerCase();
+  return known(browser) ? browser : "en";
+}
+
+export function saveLocale(id) {
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch {
+    // storage full or disabled; the choice lasts until reload
+  }
+  return id;
+}
+
+export const decimalSeparator = (locale) =>
+  new Intl.NumberFormat(tagOf(locale)).formatToParts(1.5).find((p) => p.type === "decimal")?.value ?? ".";
+
+const commaLocale = (locale) => decimalSeparator(locale) === ",";
+
+// "62,5" (decimal-comma languages) or "62.5" -> 62.5; anything else -> NaN
+export function parseDecimal(text, locale = "en") {
+  const s = String(text ?? "").trim();
+  if (!s) return NaN;
+  return Number(commaLocale(locale) ? s.replace(",", ".") : s);
+}
+
+// Entries of a typed number list, as typed
+export function splitList(text, locale = "en") {
+  const src = String(text ?? "");
+  if (!commaLocale(locale)) return src.split(/[\n,;]+/).map((t) => t.trim()).filter(Boolean);
+  return src.split(/[\n;\s]+/).map((t) => t.replace(/^,+|,+$/g, "")).filter(Boolean);
+}
+
+// Typed list -> "60, 62.5, 65" for the engine. Unreadable entries are kept (with any comma
+// turned into a point, so they stay one entry) for the input checks to point out.
+export const normalizeList = (text, locale = "en") =>
+  splitList(text, locale)
+    .map((t) => {
+      const n = parseDecimal(t, locale);
+      return Number.isFinite(n) ? String(n) : t.replace(/,/g, ".");
+    })
+    .join(", ");
+
+// Numbers -> a list as the language would type it: "60, 62.5" / "60; 62,5"
+export const formatList = (numbers, locale = "en") =>
+  numbers.map((n) => String(n).replace(".", decimalSeparator(locale))).join(commaLocale(locale) ? "; " : ", ");
+
+// Re-types a list written in one language's format for another
+export function relocalizeList(text, from, to) {
+  if (commaLocale(from) === commaLocale(to)) return text;
+  const tokens = splitList(text, from).map((t) => {
+    const n = parseDecimal(t, from);
+    return Number.isFinite(n) ? n : t;
+  });
+  return formatList(tokens, to);
+}
+
+// Message key suffix per planLoading error ("loading.*" and "plates.*")
+export const LOADING_ERRORS = { "below bar": "belowBar", collars: "collars", "not loadable": "cantLoad" };
+
+// Message values that are loads
+const WEIGHT_VALUES = ["weight", "bar", "last", "limit", "oneRM"];
+
+// Formatting and messages for one language
+export function translator(locale) {
+  const id = known(locale) ? locale : "en";
+  const tag = tagOf(id);
+  const messages = MESSAGES[id];
+  const plurals = new Intl.PluralRules(tag);
+  const sep = decimalSeparator(id);
+
+  const number = (n, digits = 2) => new Intl.NumberFormat(tag, { maximumFractionDigits: digits, useGrouping: false }).format(n);
+  // Same digits as formatWeight ("60.0", "61.25"), with the language's decimal mark
+  const weight = (w) => formatWeight(w).replace(".", sep);
+  const plate = (w) => formatPlate(w).replace(".", sep);
+  const date = (iso, options) => new Date(iso).toLocaleDateString(tag, options);
+
+  function lookup(key, count) {
+    if (count != null) {
+      const form = `${key}.${plurals.select(count)}`;
+      const text = messages[form] ?? en[form] ?? messages[`${key}.other`] ?? en[`${key}.other`];
+      if (text != null) return text;
+    }
+    return messages[key] ?? en[key] ?? key;
+  }
+
+  // Message split around its placeholders; values can be anything (e.g. React elements)
+  const parts = (key, vars = {}) =>
+    lookup(key, vars.count)
+      .split(/\{(\w+)\}/)
+      .map((p, i) => {
+        if (i % 2 === 0) return p;
+        const v = vars[p];
+        return typeof v === "number" ? number(v) : v ?? `{${p}}`;
+      })
+      .filter((p) => p !== "");
+
+  const t = (key, vars) => parts(key, vars).join("");
+
+  function loading(l) {
+    if (!l) return "";
+    if (l.error) return t(`loading.${LOADING_ERRORS[l.error]}`);
+    return l.plates.length ? t("loading.perSide", { plates: l.plates.map(plate).join(" · ") }) : t("loading.emptyBar");
+  }
+
+  // Engine, guard and notation messages ({ key, values }): loads read like weight(), felt is translated
+  function message({ key, values = {} }) {
+    const vars = { ...values };
+    for (const k of WEIGHT_VALUES) if (typeof vars[k] === "number") vars[k] = weight(vars[k]);
+    if (vars.felt) vars.felt = t(`felt.${vars.felt}`);
+    return t(key, vars);
+  }
+
+  return { locale: id, tag, t, parts, number, weight, plate, date, loading, message, list: (numbers) => formatList(numbers, id) };
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import { LOCALES, parseDecimal, normalizeList, formatList, relocalizeList, translator } from "./i18n.js";
+import en from "./locales/en.js";
+import nl from "./locales/nl.js";
+import de from "./locales/de.js";
+import es from "./locales/es.js";
+
+describe("locale number lists", () => {
+  it("reads decimal commas in comma languages only", () => {
+    expect(parseDecimal("62,5", "nl")).toBe(62.5);
+    expect(parseDecimal("62.5", "de")).toBe(62.5);
+    expect(parseDecimal("62.5", "en")).toBe(62.5);
+    expect(parseDecimal("62,5", "en")).toBeNaN();
+  });
+
+  it("normalizes typed lists for the engine", () => {
+    expect(normalizeList("60; 62,5; 65", "nl")).toBe("60, 62.5, 65");
+    expect(normalizeList("60 62,5\n65", "es")).toBe("60, 62.5, 65");
+    expect(normalizeList("60, 62.5, 65", "en")).toBe("60, 62.5, 65");
+    expect(normalizeList("60; 6x,5", "de")).toBe("60, 6x.5");
+  });
+
+  it("formats and re-types lists between languages", () => {
+    expect(formatList([60, 62.5], "de")).toBe("60; 62,5");
+    expect(formatList([60, 62.5], "en")).toBe("60, 62.5");
+    expect(relocalizeList("60, 62.5, 65", "en", "nl")).toBe("60; 62,5; 65");
+    expect(relocalizeList("60; 62,5", "es", "en")).toBe("60, 62.5");
+    expect(relocalizeList("60; 62,5", "nl", "de")).toBe("60; 62,5");
+  });
+});
+
+describe("translator", () => {
+  it("fills placeholders and picks plural forms", () => {
+    const { t } = translator("en");
+    expect(t("csv.imported", { count: 1 })).toBe("Imported 1 session");
+    expect(t("csv.imported", { count: 3 })).toBe("Imported 3 sessions");
+    expect(translator("de").t("form.useEstimate", { weight: "102,5", unit: "kg" })).toBe("≈ 102,5 kg übernehmen");
+  });
+
+  it("formats weights with the language's decimal mark", () => {
+    expect(translator("nl").weight(62.5)).toBe("62,5");
+    expect(translator("en").weight(62.5)).toBe("62.5");
+  });
+
+  it("shows engine messages with formatted loads", () => {
+    const capped = { key: "notes.capped", values: { set: 1, weight: 120, pct: 10, last: 100, limit: 110 } };
+    expect(translator("en").message(capped)).toBe("Set 1: 120.0 is more than 10% over last week’s 100.0, capped at 110.0");
+    expect(translator("nl").message({ key: "notes.raisedToBar", values: { set: 2, weight: 17.5, bar: 20 } }))
+      .toBe("Set 2: 17,5 zou onder de stang van 20,0 zitten, verhoogd naar de lege stang");
+    expect(translator("de").message({ key: "notes.incBlank", values: { felt: "hard" } })).toBe("Die Steigerung für „schwer“ ist leer, die Gewichte bleiben wie letzte Woche");
+    expect(translator("en").message({ key: "notes.repeatLast", values: { sets: 3, count: 1, weight: 60 } }))
+      .toBe("3 sets but 1 weight last week: later sets repeat 60.0");
+  });
+
+  it("falls back to English, then to the key", () => {
+    expect(translator("fr").t("today.title")).toBe("Today’s session");
+    expect(translator("es").t("no.such.key")).toBe("no.such.key");
+  });
+
+  it("has every English key in each language", () => {
+    const keys = Object.keys(en).sort();
+    const messages = { nl, de, es };
+    for (const { id } of LOCALES.filter((l) => l.id !== "en")) {
+      expect(Object.keys(messages[id]).sort()).toEqual(keys);
+    }
+  });
+});
@@ -0,0 +1,64 @@
+import { UNIT_DEFAULTS } from "./units.js";
+import { loadList, saveJson } from "./storage.js";
+
+// Lift catalogue: the main lifts, common variations and lifts added in this browser.
+// A lift: { id, name, group, bar, protocol, increments, parent, parentPct, custom? }
+//   group       "upper" | "lower": which unit default increments it falls back to
+//   bar         bar profile id (see equipment.js), null = the session's bar
+//   protocol    warm-up protocol id (see warmups.js), null = the usual one
+//   increments  per unit, { kg: { easy, solid, hard, missed }, lb: … }; a unit left out uses the group default
+//   parent      name of the lift it's seeded from when it has no history, with parentPct (e.g. 80 = 80%)
+// Entries and history refer to lifts by name.
+
+const lift = (id, name, group, extra = {}) => ({ id, name, group, bar: null, protocol: null, increments: {}, parent: null, parentPct: null, ...extra });
+
+const SMALL_STEPS = {
+  kg: { easy: 2.5, solid: 1.25, hard: 0, missed: -1.25 },
+  lb: { easy: 5, solid: 2.5, hard: 0, missed: -2.5 }
+};
+
+export const BUILT_IN_LIFTS = [
+  lift("squat", "Squat", "lower"),
+  lift("bench", "Bench", "upper"),
+  lift("deadlift", "Deadlift", "lower"),
+  lift("front-squat", "Front squat", "lower", { parent: "Squat", parentPct: 80 }),
+  lift("ssb-squat", "Safety bar squat", "lower", { bar: "ssb", parent: "Squat", parentPct: 90 }),
+  lift("close-grip", "Close-grip bench", "upper", { parent: "Bench", parentPct: 90 }),
+  lift("ohp", "Overhead press", "upper", { increments: SMALL_STEPS, parent: "Bench", parentPct: 65 }),
+  lift("rdl", "Romanian deadlift", "lower", { protocol: "30-40-50", parent: "Deadlift", parentPct: 70 }),
+  lift("trap-bar", "Trap-bar deadlift", "lower", { bar: "trap", parent: "Deadlift", parentPct: 105 })
+];
+
+export const MAIN_LIFTS = ["Squat", "Bench", "Deadlift"];
+
+const STORAGE_KEY = "lift-calculator.lifts.v1";
+
+export const loadCustomLifts = () => loadList(STORAGE_KEY);
+
+const saveCustomLifts = (list) => saveJson(STORAGE_KEY, list);
+
+// Saving under an existing name replaces that lift
+export function saveCustomLift(def) {
+  const name = def.name.trim();
+  const id = `custom:${name.toLowerCase()}`;
+  const rest = loadCustomLifts().filter((l) => l.id !== id);
+  return saveCustomLifts([...rest, lift(id, name, "lower", { ...def, name, id, group: def.group === "upper" ? "upper" : "lower", custom: true })]);
+}
+
+export function deleteCustomLift(id) {
+  return saveCustomLifts(loadCustomLifts().filter((l) => l.id !== id));
+}
+
+// Built-ins first; a custom lift named like a built-in replaces it
+export function liftCatalogue(custom = []) {
+  const names = new Set(custom.map((l) => l.name.toLowerCase()));
+  return [...BUILT_IN_LIFTS.filter((l) => !names.has(l.name.toLowerCase())), ...custom];
+}
+
+export const findLift = (name, catalogue = BUILT_IN_LIFTS) =>
+  catalogue.find((l) => l.name.toLowerCase() === String(name ?? "").trim().toLowerCase()) ?? null;
+
+// The lift's own table for the unit, else its group's default; unknown lifts count as lower body
+export function liftIncrements(def, unit = "kg") {
+  return { ...(def?.increments?.[unit] ?? UNIT_DEFAULTS[unit].increments[def?.group ?? "lower"]) };
+}
@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { BUILT_IN_LIFTS, liftCatalogue, findLift, liftIncrements } from "./lifts.js";
+import { defaultIncrements } from "./engine.js";
+
+describe("lift catalogue", () => {
+  it("finds lifts by name, ignoring case", () => {
+    expect(findLift("front SQUAT")).toMatchObject({ parent: "Squat", parentPct: 80 });
+    expect(findLift("Zercher")).toBeNull();
+  });
+
+  it("lets a custom lift replace the built-in of the same name", () => {
+    const custom = [{ id: "custom:bench", name: "Bench", group: "upper", increments: {}, custom: true }];
+    const catalogue = liftCatalogue(custom);
+    expect(catalogue).toHaveLength(BUILT_IN_LIFTS.length);
+    expect(findLift("bench", catalogue).custom).toBe(true);
+  });
+
+  it("uses the lift's own increments, else its group's", () => {
+    expect(liftIncrements(findLift("Overhead press"), "kg")).toEqual({ easy: 2.5, solid: 1.25, hard: 0, missed: -1.25 });
+    expect(liftIncrements(findLift("Close-grip bench"), "lb")).toEqual(defaultIncrements("Bench", "lb"));
+    expect(defaultIncrements("Zercher", "kg")).toEqual(defaultIncrements("Squat", "kg"));
+  });
+});
@@ -0,0 +1,311 @@
+// Deutsch
+export default {
+  "app.title": "Aufwärm- und Arbeitssatz-Rechner für die Grundübungen",
+  "app.language": "Sprache",
+  "app.intro": "Füge {lastWeights} ein, wähle, wie es sich angefühlt hat → wir schlagen {thisWeek} vor. Aufwärmen: wähle ein {protocol}; schwerere Tage bekommen mehr Sätze. Der letzte Aufwärmsatz liegt {offset} dem ersten Arbeitssatz.",
+  "app.intro.lastWeights": "die Arbeitsgewichte der letzten Woche",
+  "app.intro.thisWeek": "diese Woche",
+  "app.intro.protocol": "Protokoll",
+  "app.intro.offset": "{lo}–{hi} {unit} unter",
+
+  "common.delete": "Löschen",
+  "common.edit": "Bearbeiten",
+  "common.clear": "Leeren",
+  "common.cancel": "Abbrechen",
+  "common.or": "{a} oder {b}",
+  "common.warmups": "Aufwärmen {list}",
+
+  "athletes.title": "Athleten",
+  "athletes.planningFor": "Plan für {name}",
+  "athletes.help": "Jeder Athlet behält Einheit, Stange, Rundung, Aufwärmabstand und -protokoll, Steigerungstabellen und Verlauf. „Heute planen“ lädt all das und die Übungen der letzten Einheit.",
+  "athletes.me": "Ich",
+  "athletes.ownTraining": "(eigenes Training)",
+  "athletes.planToday": "Heute planen",
+  "athletes.lastSession": "letzte Einheit {date}",
+  "athletes.noSessions": "noch keine Einheiten",
+  "athletes.newName": "Name des neuen Athleten",
+  "athletes.add": "Mit aktuellen Einstellungen hinzufügen",
+  "athletes.saveSettings": "Einstellungen für {name} speichern",
+  "athletes.export": "Athleten exportieren",
+  "athletes.import": "Athleten importieren",
+  "athletes.confirmDelete": "{name} und alle protokollierten Einheiten löschen?",
+  "athletes.imported.one": "Importiert; die Liste hat jetzt {count} Athlet",
+  "athletes.imported.other": "Importiert; die Liste hat jetzt {count} Athleten",
+  "athletes.importFailed": "Import fehlgeschlagen: {reason}",
+  "athletes.notJson": "keine JSON-Datei",
+  "athletes.notRoster": "kein Export einer Athletenliste",
+  "athletes.newerVersion": "von einer neueren Version der App exportiert",
+
+  "session.remove": "{lift} entfernen",
+  "session.addLift": "+ Übung hinzufügen",
+
+  "lifts.squat": "Kniebeuge",
+  "lifts.bench": "Bankdrücken",
+  "lifts.deadlift": "Kreuzheben",
+  "lifts.front-squat": "Frontkniebeuge",
+  "lifts.ssb-squat": "Safety-Bar-Kniebeuge",
+  "lifts.close-grip": "Enges Bankdrücken",
+  "lifts.ohp": "Schulterdrücken",
+  "lifts.rdl": "Rumänisches Kreuzheben",
+  "lifts.trap-bar": "Trap-Bar-Kreuzheben",
+  "lifts.other": "Andere",
+
+  "form.lift": "Übung",
+  "form.otherName": "Name der Übung, z. B. Frontkniebeuge",
+  "form.seeded": "Noch keine Einheiten für {lift}: letzte Woche mit {pct} % von {parent} vorbelegt.",
+  "form.units": "Einheit",
+  "form.planFrom": "Planen nach",
+  "form.planLastWeek": "Letzte Woche + Gefühl",
+  "form.planPercent": "% vom Trainingsmax",
+  "form.repsPattern": "Wiederholungen der Arbeitssätze",
+  "form.lastWeights": "Gewichte der letzten Woche ({unit})",
+  "form.oneRm": "1RM ({unit})",
+  "form.tmPct": "Trainingsmax %",
+  "form.estimate": "1RM aus einem Satz schätzen:",
+  "form.reps": "Wdh.",
+  "form.useEstimate": "≈ {weight} {unit} übernehmen",
+  "form.percentSets": "Arbeitssätze (% vom TM oder {unit})",
+  "form.trainingMax": "Trainingsmax:",
+  "presets.531-week1": "5/3/1 Woche 1",
+  "presets.531-week2": "5/3/1 Woche 2",
+  "presets.531-week3": "5/3/1 Woche 3",
+  "presets.531-deload": "5/3/1 Deload",
+  "presets.texas-volume": "Texas Volumen",
+  "presets.texas-recovery": "Texas Erholung",
+  "presets.texas-intensity": "Texas Intensität",
+
+  "equipment.sessionBar": "Stange der Einheit",
+  "equipment.liftBar": "Stange für {lift}",
+  "equipment.barWeight": "Stangengewicht ({unit})",
+  "equipment.rounding": "Rundung ({unit})",
+  "equipment.round": "Runden",
+
+  "bars.olympic": "Olympiastange",
+  "bars.womens": "Damenstange",
+  "bars.technique": "Technikstange",
+  "bars.ssb": "Safety Squat Bar",
+  "bars.trap": "Trap Bar",
+  "bars.custom": "Eigenes Gewicht",
+
+  "rounding.nearest": "Kaufmännisch",
+  "rounding.down": "Immer ab",
+  "rounding.up": "Immer auf",
+
+  "feel.title": "Wie hat es sich angefühlt?",
+  "feel.capJump": "Wöchentlichen Sprung begrenzen auf",
+  "feel.capJumpHint": "% über letzter Woche",
+  "felt.easy": "leicht",
+  "felt.solid": "solide",
+  "felt.hard": "schwer",
+  "felt.missed": "verfehlt",
+
+  "progression.title": "Steigerungsregel",
+  "progression.by": "nach {what}",
+  "rpe.lastReps": "Wiederholungen letzte Woche",
+  "rpe.lastWeek": "Letzte Woche",
+  "rpe.formula": "e1RM-Formel",
+  "rpe.target": "Ziel-RPE (pro Satz)",
+  "formulas.epley": "Epley",
+  "formulas.brzycki": "Brzycki",
+  "formulas.rpe": "RPE-Tabelle",
+
+  "warmups.protocol": "Aufwärmprotokoll",
+  "warmups.superHeavy": "Heute besonders schwer (fügt eine zusätzliche Stufe hinzu)",
+  "warmups.offset": "Abstand letzter Aufwärmsatz",
+  "warmups.offsetHint": "{unit} unter dem ersten Arbeitssatz ({lo}–{hi})",
+  "protocols.gym": "Studio-Standard",
+  "protocols.30-40-50": "30-40-50",
+  "protocols.40-50-60-70": "40-50-60-70",
+  "protocols.bar-30-50-70": "Stange-30-50-70",
+  "protocols.bar-only": "Nur Stange",
+  "protocols.taper": "Fallende Wiederholungen",
+
+  "templates.title": "Aufwärmvorlagen",
+  "templates.help": "Schritte wie {bar}, {pct} (vom ersten Arbeitssatz) oder {last} (erster Arbeitssatz minus Abstand).",
+  "templates.name": "Name der Vorlage",
+  "templates.save": "Vorlage speichern",
+  "templates.delete": "„{name}“ löschen",
+
+  "catalogue.title": "Übungskatalog",
+  "catalogue.help": "Jede Übung kann eigene Steigerungen, eine eigene Stange und ein eigenes Aufwärmprotokoll haben. Eine Übung mit Basisübung und noch ohne Einheiten startet bei diesem Anteil der Gewichte der Basisübung.",
+  "catalogue.group.lower": "Unterkörper",
+  "catalogue.group.upper": "Oberkörper",
+  "catalogue.sessionBar": "Stange der Einheit",
+  "catalogue.usualWarmups": "übliches Aufwärmen",
+  "catalogue.usualWarmupsOption": "Übliches Aufwärmen",
+  "catalogue.steps": "Schritte {steps} {unit}",
+  "catalogue.parent": "{pct} % von {parent}",
+  "catalogue.name": "Name der Übung",
+  "catalogue.groupDefault": "Gruppenstandard",
+  "catalogue.seedFrom": "Ableiten von",
+  "catalogue.at": "mit",
+  "catalogue.save": "Übung speichern",
+
+  "plates.title": "Scheiben & Verschlüsse",
+  "plates.help": "Wie viele Scheiben jeder Größe dein Studio hat (beide Seiten zusammen). Gewichte, die sich nicht laden lassen, werden markiert.",
+  "plates.collar": "Gewicht Verschluss (je)",
+  "plates.belowBar": "Leichter als die leere Stange",
+  "plates.collars": "Leichter als die Stange mit Verschlüssen",
+  "plates.cantLoad": "Mit deinen Scheiben nicht ladbar",
+  "plates.perSide": "pro Seite: {plates}",
+  "plates.strip": "ab {plates}",
+  "plates.add": "dazu {plates}",
+
+  "loading.belowBar": "leichter als die leere Stange",
+  "loading.collars": "leichter als die Stange mit Verschlüssen",
+  "loading.cantLoad": "mit deinen Scheiben nicht ladbar",
+  "loading.perSide": "pro Seite {plates}",
+  "loading.emptyBar": "leere Stange",
+
+  "output.suggested": "Vorgeschlagene Arbeitssätze ({header})",
+  "output.enterScheme": "Gib ein Schema wie 5x75% ein, um Arbeitssätze zu erhalten.",
+  "output.addWeights": "Trage die Gewichte der letzten Woche ein, um Vorschläge zu erhalten.",
+  "output.rest": "Pause {time}",
+  "output.autoWarmups": "Automatisches Aufwärmen ({protocol})",
+  "output.noWarmups": "Trage letzte Woche + Gefühl ein, um das Aufwärmen zu sehen.",
+
+  "notation.expectedReps": "Wiederholungen erwartet, z. B. 5 oder 3x5",
+  "notation.wholeReps": "Wiederholungen müssen eine ganze Zahl sein",
+  "notation.repsAfterX": "Wiederholungen nach x erwartet",
+  "notation.useAtForLoads": "Wiederholungen müssen eine ganze Zahl sein (@ für Gewichte, z. B. 3x5 @ 100kg)",
+  "notation.loadTwice": "Gewicht doppelt angegeben",
+  "notation.expectedLoad": "Gewicht erwartet, etwa 100kg, 75%, top oder -10%",
+  "notation.unexpected": "unerwartetes „{char}“",
+  "notation.minReps": "mindestens 1 Wiederholung",
+  "notation.noLoad": "kein Gewicht für diese Sätze; gib eins an, z. B. 5x75% oder 3x5 @ 100kg",
+  "notation.topUnplanned": "„top“ hat hier kein geplantes Gewicht; nimm % oder ein Gewicht wie 100kg",
+  "notation.backoffFirst": "ein Back-off braucht davor einen schwereren Satz",
+
+  "issues.ignored": "„{token}“ ist keine Zahl und wird ignoriert",
+  "issues.noWeights": "Trage die Arbeitsgewichte der letzten Woche ein; ohne sie beginnen die Sätze bei der leeren Stange",
+  "issues.weightNotPositive": "Gewicht {set} ({weight}) muss über 0 liegen",
+  "issues.weightUnderBar": "Gewicht {set} ({weight} {unit}) ist leichter als die Stange ({bar} {unit})",
+  "issues.incBlank": "Leer; zählt als keine Änderung",
+  "issues.dropAll": "Senken um 100% oder mehr geht nicht",
+  "issues.notNumber": "„{token}“ ist keine Zahl",
+  "issues.rpeRange": "RPE-Ziele reichen von 5 bis 10",
+  "issues.lastReps": "Die Wiederholungen der letzten Woche sind nicht lesbar, es gibt kein e1RM zum Planen",
+  "issues.oneRm": "Trage ein 1RM über 0 ein; Prozente von 0 ergeben alle die leere Stange",
+  "issues.tmPct": "Das Trainingsmax liegt meist bei 50–100% des 1RM",
+  "issues.wuOffsetBlank": "Leer; es wird {value} {unit} verwendet",
+  "issues.wuOffsetRange": "Muss {lo}–{hi} {unit} sein; es wird {value} verwendet",
+  "issues.maxJump": "Nimm {lo}–{hi}%; keine Begrenzung angewendet",
+
+  "notes.raisedToBar": "Satz {set}: {weight} läge unter der Stange ({bar}), auf die leere Stange angehoben",
+  "notes.capped": "Satz {set}: {weight} liegt mehr als {pct}% über {last} der letzten Woche, begrenzt auf {limit}",
+  "notes.repeatLast.one": "{sets} Sätze, aber {count} Gewicht letzte Woche: spätere Sätze wiederholen {weight}",
+  "notes.repeatLast.other": "{sets} Sätze, aber {count} Gewichte letzte Woche: spätere Sätze wiederholen {weight}",
+  "notes.incBlank": "Die Steigerung für „{felt}“ ist leer, die Gewichte bleiben wie letzte Woche",
+  "notes.wuOffsetBlank": "Abstand letzter Aufwärmsatz ist leer, es wird {value} {unit} verwendet",
+  "notes.wuOffsetRange": "Abstand letzter Aufwärmsatz {value} {unit} liegt außerhalb {lo}–{hi}, es wird {used} verwendet",
+  "notes.noWeights": "Keine Gewichte von letzter Woche, jeder Satz ist die leere Stange",
+  "notes.noE1rm": "Kein e1RM aus den Sätzen der letzten Woche, jeder Satz ist die leere Stange",
+  "notes.noLoad": "Satz {set} hat kein Gewicht; prüfe die Eingaben oben",
+  "notes.aboveOneRm": "Satz {set} ({weight} {unit}) liegt über deinem 1RM von {oneRM} {unit}",
+  "notes.aboveEstimatedOneRm": "Satz {set} ({weight} {unit}) liegt über deinem geschätzten 1RM von {oneRM} {unit}",
+
+  "today.title": "Heutige Einheit",
+  "today.noSets": "Noch keine Arbeitssätze.",
+  "sets.warmup": "Aufwärmen",
+  "sets.work": "Arbeit",
+
+  "export.copyText": "Text kopieren",
+  "export.copyMarkdown": "Markdown kopieren",
+  "export.savePng": "PNG speichern",
+  "export.print": "Drucken",
+  "export.copyLink": "Link kopieren",
+  "export.startWorkout": "Training starten",
+  "export.textCopied": "Text kopiert",
+  "export.markdownCopied": "Markdown kopiert",
+  "export.linkCopied": "Link kopiert",
+  "export.copyFailed": "Kopieren fehlgeschlagen",
+  "log.all": "Alle Übungen protokollieren",
+  "log.one": "Diese Einheit protokollieren",
+  "log.rating": "Wie lief {lift} heute?",
+
+  "block.title": "Trainingsblock",
+  "block.started": "Begonnen am {date}",
+  "block.end": "Block beenden",
+  "block.start": "Block starten",
+  "block.template": "Vorlage",
+  "block.weeks": "Wochen",
+  "block.deload": "Deload",
+  "block.deloadPct": "Deload-Last %",
+  "block.templates.linear": "Linear",
+  "block.templates.step": "Stufenweise",
+  "block.templates.wave": "Welle",
+  "block.templates.rpe": "RPE-Rampe",
+  "block.deloads.last": "Letzte Woche",
+  "block.deloads.every4": "Jede 4. Woche",
+  "block.deloads.none": "Kein Deload",
+  "block.otherUnit": "Dieser Block wurde in {unit} geplant; wechsle die Einheit, um ihn richtig zu lesen.",
+  "block.week": "Woche {week}",
+  "block.deloadChip": "Deload",
+  "block.adjusted": "({weight} {unit} nach schwer/verfehlt)",
+
+  "history.title": "Verlauf {lift}",
+  "history.empty": "Noch keine Einheiten für {lift} protokolliert. Protokollierte Einheiten füllen beim nächsten Mal die letzte Woche aus.",
+
+  "analytics.title": "Fortschritt {lift}",
+  "analytics.stalledStreak.one": "Stagnation: Die letzte {count} Einheit war schwer oder verfehlt.",
+  "analytics.stalledStreak.other": "Stagnation: Die letzten {count} Einheiten waren schwer oder verfehlt.",
+  "analytics.stalledRecent": "Stagnation: {bad} der letzten {count} Einheiten waren schwer oder verfehlt.",
+  "analytics.stallAdvice": "Erwäge einen Deload oder eine langsamere Steigerung.",
+  "analytics.top": "Topsatz",
+  "analytics.e1rm": "Geschätztes 1RM",
+  "analytics.tonnage": "Tonnage (Wdh. × Gewicht)",
+  "analytics.felt": "Wie sich die Einheiten angefühlt haben",
+  "analytics.feltStrip": "Gefühl je Einheit, älteste zuerst",
+  "analytics.needTwo": "Protokolliere mindestens zwei Einheiten, um einen Trend zu sehen.",
+  "analytics.chartLabel": "{title}: {from} bis {to}",
+
+  "csv.title": "CSV-Import & -Export",
+  "csv.help": "Importiere ein Protokoll aus einer Tabelle oder einer Trainings-App (Strong, Hevy, FitNotes…). Spalten werden über den Namen zugeordnet; korrigiere unten, was nicht passt. Die letzte Einheit jeder Übung füllt die letzte Woche aus.",
+  "csv.choose": "CSV wählen…",
+  "csv.exportHistory": "Verlauf exportieren",
+  "csv.exportPlan": "Heutigen Plan exportieren",
+  "csv.rows.one": "{name}: {count} Zeile",
+  "csv.rows.other": "{name}: {count} Zeilen",
+  "csv.fields.date": "Datum",
+  "csv.fields.lift": "Übung",
+  "csv.fields.set": "Satz-Nr.",
+  "csv.fields.type": "Satztyp",
+  "csv.fields.reps": "Wiederholungen",
+  "csv.fields.weight": "Gewicht",
+  "csv.fields.rpe": "RPE",
+  "csv.fields.unit": "Einheit",
+  "csv.fields.felt": "Gefühl",
+  "csv.column": "Spalte {n}",
+  "csv.unit": "Gewichte in (ohne Einheitenspalte)",
+  "csv.pickColumn": "Wähle eine Spalte für {fields}.",
+  "csv.found.one": "{count} Einheit gefunden",
+  "csv.found.other": "{count} Einheiten gefunden",
+  "csv.willSkip.one": "{count} Zeile ohne lesbares Datum, Übung, Wiederholungen oder Gewicht wird übersprungen",
+  "csv.willSkip.other": "{count} Zeilen ohne lesbares Datum, Übung, Wiederholungen oder Gewicht werden übersprungen",
+  "csv.import": "Importieren",
+  "csv.importFor": "Für {name} importieren",
+  "csv.imported.one": "{count} Einheit importiert",
+  "csv.imported.other": "{count} Einheiten importiert",
+  "csv.alreadyLogged": "{count} bereits protokolliert",
+  "csv.unreadable.one": "{count} unlesbare Zeile übersprungen",
+  "csv.unreadable.other": "{count} unlesbare Zeilen übersprungen",
+
+  "card.title": "Trainingsplan",
+  "card.session": "Training {date}",
+
+  "workout.title": "Training",
+  "workout.progress.one": "{done} / {count} Satz",
+  "workout.progress.other": "{done} / {count} Sätze",
+  "workout.exit": "Beenden",
+  "workout.rest": "Pause",
+  "workout.upNext": "Als Nächstes: {set}",
+  "workout.addRest": "+30 s",
+  "workout.skipRest": "Pause überspringen",
+  "workout.finished": "Einheit geschafft",
+  "workout.finishedHelp": "Protokolliere sie im Rechner, damit dein Verlauf vollständig bleibt.",
+  "workout.backToCalculator": "Zurück zum Rechner",
+  "workout.workingSet": "Arbeitssatz",
+  "workout.done": "Erledigt",
+  "workout.back": "Zurück",
+  "workout.next": "Weiter"
+};
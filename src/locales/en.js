@@ -0,0 +1,311 @@
+// English: the source strings. Every key used in the app is here; see i18n.js.
+export default {
+  "app.title": "Main Lift Warm‑Up & Working Set Calculator",
+  "app.language": "Language",
+  "app.intro": "Paste {lastWeights}, pick how it felt → we suggest {thisWeek}. Warm‑ups: pick a {protocol}; heavier days get more sets. Last warm‑up is {offset} the first working set.",
+  "app.intro.lastWeights": "last week’s working weights",
+  "app.intro.thisWeek": "this week",
+  "app.intro.protocol": "protocol",
+  "app.intro.offset": "{lo}–{hi} {unit} below",
+
+  "common.delete": "Delete",
+  "common.edit": "Edit",
+  "common.clear": "Clear",
+  "common.cancel": "Cancel",
+  "common.or": "{a} or {b}",
+  "common.warmups": "warm‑ups {list}",
+
+  "athletes.title": "Athletes",
+  "athletes.planningFor": "planning for {name}",
+  "athletes.help": "Each athlete keeps their unit, bar, rounding, warm‑up offset and protocol, increment tables and history. Plan today loads all of it and their last session’s lifts.",
+  "athletes.me": "Me",
+  "athletes.ownTraining": "(own training)",
+  "athletes.planToday": "Plan today",
+  "athletes.lastSession": "last session {date}",
+  "athletes.noSessions": "no sessions yet",
+  "athletes.newName": "New athlete name",
+  "athletes.add": "Add with current settings",
+  "athletes.saveSettings": "Save settings to {name}",
+  "athletes.export": "Export roster",
+  "athletes.import": "Import roster",
+  "athletes.confirmDelete": "Delete {name} and all of their logged sessions?",
+  "athletes.imported.one": "Imported; roster now has {count} athlete",
+  "athletes.imported.other": "Imported; roster now has {count} athletes",
+  "athletes.importFailed": "Import failed: {reason}",
+  "athletes.notJson": "not a JSON file",
+  "athletes.notRoster": "not a roster export",
+  "athletes.newerVersion": "exported by a newer version of the app",
+
+  "session.remove": "Remove {lift}",
+  "session.addLift": "+ Add lift",
+
+  "lifts.squat": "Squat",
+  "lifts.bench": "Bench",
+  "lifts.deadlift": "Deadlift",
+  "lifts.front-squat": "Front squat",
+  "lifts.ssb-squat": "Safety bar squat",
+  "lifts.close-grip": "Close-grip bench",
+  "lifts.ohp": "Overhead press",
+  "lifts.rdl": "Romanian deadlift",
+  "lifts.trap-bar": "Trap-bar deadlift",
+  "lifts.other": "Other",
+
+  "form.lift": "Lift",
+  "form.otherName": "Lift name, e.g. Front squat",
+  "form.seeded": "No {lift} sessions yet: last week seeded at {pct}% of {parent}.",
+  "form.units": "Units",
+  "form.planFrom": "Plan from",
+  "form.planLastWeek": "Last week + feel",
+  "form.planPercent": "% of training max",
+  "form.repsPattern": "Working sets reps",
+  "form.lastWeights": "Last week weights ({unit})",
+  "form.oneRm": "1RM ({unit})",
+  "form.tmPct": "Training max %",
+  "form.estimate": "Estimate 1RM from a set:",
+  "form.reps": "reps",
+  "form.useEstimate": "Use ≈ {weight} {unit}",
+  "form.percentSets": "Working sets (% of TM or {unit})",
+  "form.trainingMax": "Training max:",
+  "presets.531-week1": "5/3/1 week 1",
+  "presets.531-week2": "5/3/1 week 2",
+  "presets.531-week3": "5/3/1 week 3",
+  "presets.531-deload": "5/3/1 deload",
+  "presets.texas-volume": "Texas volume",
+  "presets.texas-recovery": "Texas recovery",
+  "presets.texas-intensity": "Texas intensity",
+
+  "equipment.sessionBar": "Session bar",
+  "equipment.liftBar": "{lift} bar",
+  "equipment.barWeight": "Bar weight ({unit})",
+  "equipment.rounding": "Rounding ({unit})",
+  "equipment.round": "Round",
+
+  "bars.olympic": "Olympic bar",
+  "bars.womens": "Women’s bar",
+  "bars.technique": "Technique bar",
+  "bars.ssb": "Safety squat bar",
+  "bars.trap": "Trap bar",
+  "bars.custom": "Custom",
+
+  "rounding.nearest": "Nearest",
+  "rounding.down": "Always down",
+  "rounding.up": "Always up",
+
+  "feel.title": "How did it feel?",
+  "feel.capJump": "Cap weekly jump at",
+  "feel.capJumpHint": "% over last week",
+  "felt.easy": "easy",
+  "felt.solid": "solid",
+  "felt.hard": "hard",
+  "felt.missed": "missed",
+
+  "progression.title": "Progression rule",
+  "progression.by": "by {what}",
+  "rpe.lastReps": "Last week reps",
+  "rpe.lastWeek": "Last week",
+  "rpe.formula": "e1RM formula",
+  "rpe.target": "Target RPE (per set)",
+  "formulas.epley": "Epley",
+  "formulas.brzycki": "Brzycki",
+  "formulas.rpe": "RPE chart",
+
+  "warmups.protocol": "Warm‑up protocol",
+  "warmups.superHeavy": "Super heavy today (adds an extra ramp)",
+  "warmups.offset": "Last warm‑up offset",
+  "warmups.offsetHint": "{unit} under first working set ({lo}–{hi})",
+  "protocols.gym": "Gym standard",
+  "protocols.30-40-50": "30-40-50",
+  "protocols.40-50-60-70": "40-50-60-70",
+  "protocols.bar-30-50-70": "Bar-30-50-70",
+  "protocols.bar-only": "Bar only",
+  "protocols.taper": "Rep taper",
+
+  "templates.title": "Warm‑up templates",
+  "templates.help": "Steps like {bar}, {pct} (of the first working set) or {last} (first working set minus the offset).",
+  "templates.name": "Template name",
+  "templates.save": "Save template",
+  "templates.delete": "Delete “{name}”",
+
+  "catalogue.title": "Lift catalogue",
+  "catalogue.help": "Each lift can carry its own increments, bar and warm‑up protocol. A lift with a parent and no sessions yet starts from that share of the parent’s weights.",
+  "catalogue.group.lower": "Lower body",
+  "catalogue.group.upper": "Upper body",
+  "catalogue.sessionBar": "session bar",
+  "catalogue.usualWarmups": "usual warm‑ups",
+  "catalogue.usualWarmupsOption": "Usual warm‑ups",
+  "catalogue.steps": "steps {steps} {unit}",
+  "catalogue.parent": "{pct}% of {parent}",
+  "catalogue.name": "Lift name",
+  "catalogue.groupDefault": "group default",
+  "catalogue.seedFrom": "Seed from",
+  "catalogue.at": "at",
+  "catalogue.save": "Save lift",
+
+  "plates.title": "Plates & collars",
+  "plates.help": "How many of each plate your gym has (both sides together). Loads that can’t be made are flagged.",
+  "plates.collar": "Collar weight (each)",
+  "plates.belowBar": "Below the empty bar",
+  "plates.collars": "Under the bar with collars",
+  "plates.cantLoad": "Can’t load with your plates",
+  "plates.perSide": "per side: {plates}",
+  "plates.strip": "strip {plates}",
+  "plates.add": "add {plates}",
+
+  "loading.belowBar": "below the empty bar",
+  "loading.collars": "under the bar with collars",
+  "loading.cantLoad": "can’t load with your plates",
+  "loading.perSide": "per side {plates}",
+  "loading.emptyBar": "empty bar",
+
+  "output.suggested": "Suggested working sets ({header})",
+  "output.enterScheme": "Enter a scheme like 5x75% to get working sets.",
+  "output.addWeights": "Add last week’s weights to get suggestions.",
+  "output.rest": "rest {time}",
+  "output.autoWarmups": "Auto warm‑ups ({protocol})",
+  "output.noWarmups": "Enter last week + feeling to see warm‑ups.",
+
+  "notation.expectedReps": "expected reps, e.g. 5 or 3x5",
+  "notation.wholeReps": "reps must be a whole number",
+  "notation.repsAfterX": "expected reps after x",
+  "notation.useAtForLoads": "reps must be a whole number (use @ for loads, e.g. 3x5 @ 100kg)",
+  "notation.loadTwice": "load given twice",
+  "notation.expectedLoad": "expected a load like 100kg, 75%, top or -10%",
+  "notation.unexpected": "unexpected “{char}”",
+  "notation.minReps": "reps must be at least 1",
+  "notation.noLoad": "no load for these sets; add one, e.g. 5x75% or 3x5 @ 100kg",
+  "notation.topUnplanned": "“top” has no planned weight here; use a % or a load like 100kg",
+  "notation.backoffFirst": "a back-off needs a heavier set before it",
+
+  "issues.ignored": "“{token}” isn’t a number and is ignored",
+  "issues.noWeights": "Enter last week’s working weights; without them the sets start from the empty bar",
+  "issues.weightNotPositive": "Weight {set} ({weight}) must be above 0",
+  "issues.weightUnderBar": "Weight {set} ({weight} {unit}) is lighter than the {bar} {unit} bar",
+  "issues.incBlank": "Blank; counts as no change",
+  "issues.dropAll": "Can’t drop 100% or more",
+  "issues.notNumber": "“{token}” isn’t a number",
+  "issues.rpeRange": "RPE targets go from 5 to 10",
+  "issues.lastReps": "Can’t read last week’s reps, so there’s no e1RM to plan from",
+  "issues.oneRm": "Enter a 1RM above 0; percentages of 0 are all the empty bar",
+  "issues.tmPct": "Training max is usually 50–100% of the 1RM",
+  "issues.wuOffsetBlank": "Blank; using {value} {unit}",
+  "issues.wuOffsetRange": "Must be {lo}–{hi} {unit}; using {value}",
+  "issues.maxJump": "Use {lo}–{hi}%; no cap applied",
+
+  "notes.raisedToBar": "Set {set}: {weight} would be under the {bar} bar, raised to the empty bar",
+  "notes.capped": "Set {set}: {weight} is more than {pct}% over last week’s {last}, capped at {limit}",
+  "notes.repeatLast.one": "{sets} sets but {count} weight last week: later sets repeat {weight}",
+  "notes.repeatLast.other": "{sets} sets but {count} weights last week: later sets repeat {weight}",
+  "notes.incBlank": "The “{felt}” increment is blank, so the weights stay as last week",
+  "notes.wuOffsetBlank": "Warm‑up offset is blank, using {value} {unit}",
+  "notes.wuOffsetRange": "Warm‑up offset {value} {unit} is outside {lo}–{hi}, using {used}",
+  "notes.noWeights": "No weights from last week, so every set is the empty bar",
+  "notes.noE1rm": "No e1RM from last week’s sets, so every set is the empty bar",
+  "notes.noLoad": "Set {set} has no load; check the inputs above",
+  "notes.aboveOneRm": "Set {set} ({weight} {unit}) is above your 1RM of {oneRM} {unit}",
+  "notes.aboveEstimatedOneRm": "Set {set} ({weight} {unit}) is above your estimated 1RM of {oneRM} {unit}",
+
+  "today.title": "Today’s session",
+  "today.noSets": "No working sets yet.",
+  "sets.warmup": "Warm‑up",
+  "sets.work": "Work",
+
+  "export.copyText": "Copy text",
+  "export.copyMarkdown": "Copy Markdown",
+  "export.savePng": "Save PNG",
+  "export.print": "Print",
+  "export.copyLink": "Copy link",
+  "export.startWorkout": "Start workout",
+  "export.textCopied": "Text copied",
+  "export.markdownCopied": "Markdown copied",
+  "export.linkCopied": "Link copied",
+  "export.copyFailed": "Copy failed",
+  "log.all": "Log all lifts",
+  "log.one": "Log this session",
+  "log.rating": "How did today’s {lift} feel?",
+
+  "block.title": "Training block",
+  "block.started": "Started {date}",
+  "block.end": "End block",
+  "block.start": "Start block",
+  "block.template": "Template",
+  "block.weeks": "Weeks",
+  "block.deload": "Deload",
+  "block.deloadPct": "Deload load %",
+  "block.templates.linear": "Linear",
+  "block.templates.step": "Step loading",
+  "block.templates.wave": "Wave",
+  "block.templates.rpe": "RPE ramp",
+  "block.deloads.last": "Last week",
+  "block.deloads.every4": "Every 4th week",
+  "block.deloads.none": "No deload",
+  "block.otherUnit": "This block was planned in {unit}; switch units to read it correctly.",
+  "block.week": "Week {week}",
+  "block.deloadChip": "deload",
+  "block.adjusted": "({weight} {unit} after hard/missed)",
+
+  "history.title": "{lift} history",
+  "history.empty": "No sessions logged for {lift} yet. Logged sessions pre-fill last week next time.",
+
+  "analytics.title": "{lift} progress",
+  "analytics.stalledStreak.one": "Stalled: the last {count} session felt hard or was missed.",
+  "analytics.stalledStreak.other": "Stalled: the last {count} sessions felt hard or were missed.",
+  "analytics.stalledRecent": "Stalled: {bad} of the last {count} sessions felt hard or were missed.",
+  "analytics.stallAdvice": "Consider a deload or a lighter progression.",
+  "analytics.top": "Top set",
+  "analytics.e1rm": "Estimated 1RM",
+  "analytics.tonnage": "Tonnage (reps × weight)",
+  "analytics.felt": "How sessions felt",
+  "analytics.feltStrip": "Felt ratings, oldest first",
+  "analytics.needTwo": "Log at least two sessions to see a trend.",
+  "analytics.chartLabel": "{title}: {from} to {to}",
+
+  "csv.title": "CSV import & export",
+  "csv.help": "Import a log exported from a spreadsheet or a training app (Strong, Hevy, FitNotes…). Columns are matched by name; fix any that are wrong below. Each lift’s latest session pre-fills last week.",
+  "csv.choose": "Choose CSV…",
+  "csv.exportHistory": "Export history",
+  "csv.exportPlan": "Export today’s plan",
+  "csv.rows.one": "{name}: {count} row",
+  "csv.rows.other": "{name}: {count} rows",
+  "csv.fields.date": "Date",
+  "csv.fields.lift": "Lift / exercise",
+  "csv.fields.set": "Set #",
+  "csv.fields.type": "Set type",
+  "csv.fields.reps": "Reps",
+  "csv.fields.weight": "Weight",
+  "csv.fields.rpe": "RPE",
+  "csv.fields.unit": "Unit",
+  "csv.fields.felt": "Felt",
+  "csv.column": "Column {n}",
+  "csv.unit": "Weights in (when no unit column)",
+  "csv.pickColumn": "Pick a column for {fields}.",
+  "csv.found.one": "{count} session found",
+  "csv.found.other": "{count} sessions found",
+  "csv.willSkip.one": "{count} row without a readable date, lift, reps or weight will be skipped",
+  "csv.willSkip.other": "{count} rows without a readable date, lift, reps or weight will be skipped",
+  "csv.import": "Import",
+  "csv.importFor": "Import for {name}",
+  "csv.imported.one": "Imported {count} session",
+  "csv.imported.other": "Imported {count} sessions",
+  "csv.alreadyLogged": "{count} already logged",
+  "csv.unreadable.one": "{count} unreadable row skipped",
+  "csv.unreadable.other": "{count} unreadable rows skipped",
+
+  "card.title": "Session plan",
+  "card.session": "Session {date}",
+
+  "workout.title": "Workout",
+  "workout.progress.one": "{done} / {count} set",
+  "workout.progress.other": "{done} / {count} sets",
+  "workout.exit": "Exit",
+  "workout.rest": "Rest",
+  "workout.upNext": "Next: {set}",
+  "workout.addRest": "+30 s",
+  "workout.skipRest": "Skip rest",
+  "workout.finished": "Session done",
+  "workout.finishedHelp": "Log it from the calculator to keep your history.",
+  "workout.backToCalculator": "Back to calculator",
+  "workout.workingSet": "Working set",
+  "workout.done": "Done",
+  "workout.back": "Back",
+  "workout.next": "Next"
+};
@@ -0,0 +1,311 @@
+// Español
+export default {
+  "app.title": "Calculadora de calentamiento y series efectivas para los básicos",
+  "app.language": "Idioma",
+  "app.intro": "Pega {lastWeights}, elige cómo se sintió → te sugerimos {thisWeek}. Calentamiento: elige un {protocol}; los días más pesados llevan más series. La última serie de calentamiento queda {offset} la primera serie efectiva.",
+  "app.intro.lastWeights": "los pesos de trabajo de la semana pasada",
+  "app.intro.thisWeek": "esta semana",
+  "app.intro.protocol": "protocolo",
+  "app.intro.offset": "{lo}–{hi} {unit} por debajo de",
+
+  "common.delete": "Eliminar",
+  "common.edit": "Editar",
+  "common.clear": "Vaciar",
+  "common.cancel": "Cancelar",
+  "common.or": "{a} o {b}",
+  "common.warmups": "calentamiento {list}",
+
+  "athletes.title": "Atletas",
+  "athletes.planningFor": "plan para {name}",
+  "athletes.help": "Cada atleta conserva su unidad, barra, redondeo, margen y protocolo de calentamiento, tablas de incrementos e historial. Planificar hoy carga todo eso y los ejercicios de su última sesión.",
+  "athletes.me": "Yo",
+  "athletes.ownTraining": "(entrenamiento propio)",
+  "athletes.planToday": "Planificar hoy",
+  "athletes.lastSession": "última sesión {date}",
+  "athletes.noSessions": "aún sin sesiones",
+  "athletes.newName": "Nombre del nuevo atleta",
+  "athletes.add": "Añadir con los ajustes actuales",
+  "athletes.saveSettings": "Guardar ajustes en {name}",
+  "athletes.export": "Exportar atletas",
+  "athletes.import": "Importar atletas",
+  "athletes.confirmDelete": "¿Eliminar a {name} y todas sus sesiones registradas?",
+  "athletes.imported.one": "Importado; la lista tiene ahora {count} atleta",
+  "athletes.imported.other": "Importado; la lista tiene ahora {count} atletas",
+  "athletes.importFailed": "Error al importar: {reason}",
+  "athletes.notJson": "no es un archivo JSON",
+  "athletes.notRoster": "no es una exportación de atletas",
+  "athletes.newerVersion": "exportado por una versión más reciente de la app",
+
+  "session.remove": "Quitar {lift}",
+  "session.addLift": "+ Añadir ejercicio",
+
+  "lifts.squat": "Sentadilla",
+  "lifts.bench": "Press de banca",
+  "lifts.deadlift": "Peso muerto",
+  "lifts.front-squat": "Sentadilla frontal",
+  "lifts.ssb-squat": "Sentadilla con safety bar",
+  "lifts.close-grip": "Press de banca agarre cerrado",
+  "lifts.ohp": "Press militar",
+  "lifts.rdl": "Peso muerto rumano",
+  "lifts.trap-bar": "Peso muerto con trap bar",
+  "lifts.other": "Otro",
+
+  "form.lift": "Ejercicio",
+  "form.otherName": "Nombre del ejercicio, p. ej. Sentadilla frontal",
+  "form.seeded": "Aún no hay sesiones de {lift}: la semana pasada se rellenó al {pct} % de {parent}.",
+  "form.units": "Unidades",
+  "form.planFrom": "Planificar desde",
+  "form.planLastWeek": "Semana pasada + sensación",
+  "form.planPercent": "% del máximo de entrenamiento",
+  "form.repsPattern": "Repeticiones de las series efectivas",
+  "form.lastWeights": "Pesos de la semana pasada ({unit})",
+  "form.oneRm": "1RM ({unit})",
+  "form.tmPct": "Máximo de entrenamiento %",
+  "form.estimate": "Estimar el 1RM a partir de una serie:",
+  "form.reps": "reps",
+  "form.useEstimate": "Usar ≈ {weight} {unit}",
+  "form.percentSets": "Series efectivas (% del TM o {unit})",
+  "form.trainingMax": "Máximo de entrenamiento:",
+  "presets.531-week1": "5/3/1 semana 1",
+  "presets.531-week2": "5/3/1 semana 2",
+  "presets.531-week3": "5/3/1 semana 3",
+  "presets.531-deload": "5/3/1 descarga",
+  "presets.texas-volume": "Texas volumen",
+  "presets.texas-recovery": "Texas recuperación",
+  "presets.texas-intensity": "Texas intensidad",
+
+  "equipment.sessionBar": "Barra de la sesión",
+  "equipment.liftBar": "Barra para {lift}",
+  "equipment.barWeight": "Peso de la barra ({unit})",
+  "equipment.rounding": "Redondeo ({unit})",
+  "equipment.round": "Redondear",
+
+  "bars.olympic": "Barra olímpica",
+  "bars.womens": "Barra femenina",
+  "bars.technique": "Barra de técnica",
+  "bars.ssb": "Safety squat bar",
+  "bars.trap": "Trap bar",
+  "bars.custom": "Personalizada",
+
+  "rounding.nearest": "Al más cercano",
+  "rounding.down": "Siempre hacia abajo",
+  "rounding.up": "Siempre hacia arriba",
+
+  "feel.title": "¿Cómo se sintió?",
+  "feel.capJump": "Limitar el salto semanal a",
+  "feel.capJumpHint": "% sobre la semana pasada",
+  "felt.easy": "fácil",
+  "felt.solid": "bien",
+  "felt.hard": "duro",
+  "felt.missed": "fallado",
+
+  "progression.title": "Regla de progresión",
+  "progression.by": "por {what}",
+  "rpe.lastReps": "Repeticiones de la semana pasada",
+  "rpe.lastWeek": "Semana pasada",
+  "rpe.formula": "Fórmula de e1RM",
+  "rpe.target": "RPE objetivo (por serie)",
+  "formulas.epley": "Epley",
+  "formulas.brzycki": "Brzycki",
+  "formulas.rpe": "Tabla RPE",
+
+  "warmups.protocol": "Protocolo de calentamiento",
+  "warmups.superHeavy": "Hoy muy pesado (añade una rampa extra)",
+  "warmups.offset": "Margen del último calentamiento",
+  "warmups.offsetHint": "{unit} por debajo de la primera serie efectiva ({lo}–{hi})",
+  "protocols.gym": "Estándar de gimnasio",
+  "protocols.30-40-50": "30-40-50",
+  "protocols.40-50-60-70": "40-50-60-70",
+  "protocols.bar-30-50-70": "Barra-30-50-70",
+  "protocols.bar-only": "Solo barra",
+  "protocols.taper": "Repeticiones decrecientes",
+
+  "templates.title": "Plantillas de calentamiento",
+  "templates.help": "Pasos como {bar}, {pct} (de la primera serie efectiva) o {last} (primera serie efectiva menos el margen).",
+  "templates.name": "Nombre de la plantilla",
+  "templates.save": "Guardar plantilla",
+  "templates.delete": "Eliminar «{name}»",
+
+  "catalogue.title": "Catálogo de ejercicios",
+  "catalogue.help": "Cada ejercicio puede tener sus propios incrementos, barra y protocolo de calentamiento. Un ejercicio con ejercicio base y aún sin sesiones empieza con esa parte de los pesos del ejercicio base.",
+  "catalogue.group.lower": "Tren inferior",
+  "catalogue.group.upper": "Tren superior",
+  "catalogue.sessionBar": "barra de la sesión",
+  "catalogue.usualWarmups": "calentamiento habitual",
+  "catalogue.usualWarmupsOption": "Calentamiento habitual",
+  "catalogue.steps": "pasos {steps} {unit}",
+  "catalogue.parent": "{pct} % de {parent}",
+  "catalogue.name": "Nombre del ejercicio",
+  "catalogue.groupDefault": "valor del grupo",
+  "catalogue.seedFrom": "Derivar de",
+  "catalogue.at": "al",
+  "catalogue.save": "Guardar ejercicio",
+
+  "plates.title": "Discos y cierres",
+  "plates.help": "Cuántos discos de cada peso tiene tu gimnasio (ambos lados juntos). Se marcan las cargas que no se pueden montar.",
+  "plates.collar": "Peso del cierre (cada uno)",
+  "plates.belowBar": "Por debajo de la barra vacía",
+  "plates.collars": "Por debajo de la barra con cierres",
+  "plates.cantLoad": "No se puede cargar con tus discos",
+  "plates.perSide": "por lado: {plates}",
+  "plates.strip": "quitar {plates}",
+  "plates.add": "añadir {plates}",
+
+  "loading.belowBar": "por debajo de la barra vacía",
+  "loading.collars": "por debajo de la barra con cierres",
+  "loading.cantLoad": "no se puede cargar con tus discos",
+  "loading.perSide": "por lado {plates}",
+  "loading.emptyBar": "barra vacía",
+
+  "output.suggested": "Series efectivas sugeridas ({header})",
+  "output.enterScheme": "Introduce un esquema como 5x75% para obtener series efectivas.",
+  "output.addWeights": "Añade los pesos de la semana pasada para obtener sugerencias.",
+  "output.rest": "descanso {time}",
+  "output.autoWarmups": "Calentamiento automático ({protocol})",
+  "output.noWarmups": "Introduce la semana pasada + sensación para ver el calentamiento.",
+
+  "notation.expectedReps": "se esperaban repeticiones, p. ej. 5 o 3x5",
+  "notation.wholeReps": "las repeticiones deben ser un número entero",
+  "notation.repsAfterX": "se esperaban repeticiones después de x",
+  "notation.useAtForLoads": "las repeticiones deben ser un número entero (usa @ para las cargas, p. ej. 3x5 @ 100kg)",
+  "notation.loadTwice": "carga indicada dos veces",
+  "notation.expectedLoad": "se esperaba una carga como 100kg, 75%, top o -10%",
+  "notation.unexpected": "«{char}» inesperado",
+  "notation.minReps": "las repeticiones deben ser al menos 1",
+  "notation.noLoad": "estas series no tienen carga; añade una, p. ej. 5x75% o 3x5 @ 100kg",
+  "notation.topUnplanned": "«top» no tiene peso planificado aquí; usa un % o una carga como 100kg",
+  "notation.backoffFirst": "una serie de descarga necesita antes una serie más pesada",
+
+  "issues.ignored": "«{token}» no es un número y se ignora",
+  "issues.noWeights": "Introduce los pesos de trabajo de la semana pasada; sin ellos las series empiezan con la barra vacía",
+  "issues.weightNotPositive": "El peso {set} ({weight}) debe ser mayor que 0",
+  "issues.weightUnderBar": "El peso {set} ({weight} {unit}) es menor que la barra de {bar} {unit}",
+  "issues.incBlank": "Vacío; cuenta como sin cambio",
+  "issues.dropAll": "No se puede bajar un 100% o más",
+  "issues.notNumber": "«{token}» no es un número",
+  "issues.rpeRange": "Los objetivos de RPE van de 5 a 10",
+  "issues.lastReps": "No se pueden leer las repeticiones de la semana pasada, así que no hay e1RM para planificar",
+  "issues.oneRm": "Introduce un 1RM mayor que 0; los porcentajes de 0 son todos la barra vacía",
+  "issues.tmPct": "El máximo de entrenamiento suele ser el 50–100% del 1RM",
+  "issues.wuOffsetBlank": "Vacío; se usa {value} {unit}",
+  "issues.wuOffsetRange": "Debe estar entre {lo} y {hi} {unit}; se usa {value}",
+  "issues.maxJump": "Usa {lo}–{hi}%; no se aplica límite",
+
+  "notes.raisedToBar": "Serie {set}: {weight} quedaría por debajo de la barra de {bar}, se sube a la barra vacía",
+  "notes.capped": "Serie {set}: {weight} supera en más de un {pct}% los {last} de la semana pasada, limitado a {limit}",
+  "notes.repeatLast.one": "{sets} series pero {count} peso la semana pasada: las siguientes repiten {weight}",
+  "notes.repeatLast.other": "{sets} series pero {count} pesos la semana pasada: las siguientes repiten {weight}",
+  "notes.incBlank": "El incremento para «{felt}» está vacío, así que los pesos quedan como la semana pasada",
+  "notes.wuOffsetBlank": "El margen del último calentamiento está vacío, se usa {value} {unit}",
+  "notes.wuOffsetRange": "El margen del último calentamiento {value} {unit} está fuera de {lo}–{hi}, se usa {used}",
+  "notes.noWeights": "Sin pesos de la semana pasada, así que cada serie es la barra vacía",
+  "notes.noE1rm": "Sin e1RM de las series de la semana pasada, así que cada serie es la barra vacía",
+  "notes.noLoad": "La serie {set} no tiene carga; revisa los datos de arriba",
+  "notes.aboveOneRm": "La serie {set} ({weight} {unit}) supera tu 1RM de {oneRM} {unit}",
+  "notes.aboveEstimatedOneRm": "La serie {set} ({weight} {unit}) supera tu 1RM estimado de {oneRM} {unit}",
+
+  "today.title": "Sesión de hoy",
+  "today.noSets": "Aún no hay series efectivas.",
+  "sets.warmup": "Calentamiento",
+  "sets.work": "Efectiva",
+
+  "export.copyText": "Copiar texto",
+  "export.copyMarkdown": "Copiar Markdown",
+  "export.savePng": "Guardar PNG",
+  "export.print": "Imprimir",
+  "export.copyLink": "Copiar enlace",
+  "export.startWorkout": "Empezar entrenamiento",
+  "export.textCopied": "Texto copiado",
+  "export.markdownCopied": "Markdown copiado",
+  "export.linkCopied": "Enlace copiado",
+  "export.copyFailed": "No se pudo copiar",
+  "log.all": "Registrar todos los ejercicios",
+  "log.one": "Registrar esta sesión",
+  "log.rating": "¿Cómo fue {lift} hoy?",
+
+  "block.title": "Bloque de entrenamiento",
+  "block.started": "Empezado el {date}",
+  "block.end": "Terminar bloque",
+  "block.start": "Empezar bloque",
+  "block.template": "Plantilla",
+  "block.weeks": "Semanas",
+  "block.deload": "Descarga",
+  "block.deloadPct": "Carga de descarga %",
+  "block.templates.linear": "Lineal",
+  "block.templates.step": "Escalonado",
+  "block.templates.wave": "Ondulante",
+  "block.templates.rpe": "Rampa RPE",
+  "block.deloads.last": "Última semana",
+  "block.deloads.every4": "Cada 4.ª semana",
+  "block.deloads.none": "Sin descarga",
+  "block.otherUnit": "Este bloque se planificó en {unit}; cambia de unidad para leerlo bien.",
+  "block.week": "Semana {week}",
+  "block.deloadChip": "descarga",
+  "block.adjusted": "({weight} {unit} tras duro/fallado)",
+
+  "history.title": "Historial de {lift}",
+  "history.empty": "Aún no hay sesiones registradas de {lift}. Las sesiones registradas rellenan la semana pasada la próxima vez.",
+
+  "analytics.title": "Progreso de {lift}",
+  "analytics.stalledStreak.one": "Estancado: la última {count} sesión fue dura o fallada.",
+  "analytics.stalledStreak.other": "Estancado: las últimas {count} sesiones fueron duras o falladas.",
+  "analytics.stalledRecent": "Estancado: {bad} de las últimas {count} sesiones fueron duras o falladas.",
+  "analytics.stallAdvice": "Considera una descarga o una progresión más suave.",
+  "analytics.top": "Serie más pesada",
+  "analytics.e1rm": "1RM estimado",
+  "analytics.tonnage": "Tonelaje (reps × peso)",
+  "analytics.felt": "Cómo se sintieron las sesiones",
+  "analytics.feltStrip": "Sensación por sesión, de la más antigua a la más reciente",
+  "analytics.needTwo": "Registra al menos dos sesiones para ver una tendencia.",
+  "analytics.chartLabel": "{title}: de {from} a {to}",
+
+  "csv.title": "Importar y exportar CSV",
+  "csv.help": "Importa un registro exportado de una hoja de cálculo o de una app de entrenamiento (Strong, Hevy, FitNotes…). Las columnas se asocian por nombre; corrige abajo las que no cuadren. La última sesión de cada ejercicio rellena la semana pasada.",
+  "csv.choose": "Elegir CSV…",
+  "csv.exportHistory": "Exportar historial",
+  "csv.exportPlan": "Exportar el plan de hoy",
+  "csv.rows.one": "{name}: {count} fila",
+  "csv.rows.other": "{name}: {count} filas",
+  "csv.fields.date": "Fecha",
+  "csv.fields.lift": "Ejercicio",
+  "csv.fields.set": "N.º de serie",
+  "csv.fields.type": "Tipo de serie",
+  "csv.fields.reps": "Repeticiones",
+  "csv.fields.weight": "Peso",
+  "csv.fields.rpe": "RPE",
+  "csv.fields.unit": "Unidad",
+  "csv.fields.felt": "Sensación",
+  "csv.column": "Columna {n}",
+  "csv.unit": "Pesos en (sin columna de unidad)",
+  "csv.pickColumn": "Elige una columna para {fields}.",
+  "csv.found.one": "{count} sesión encontrada",
+  "csv.found.other": "{count} sesiones encontradas",
+  "csv.willSkip.one": "se omitirá {count} fila sin fecha, ejercicio, repeticiones o peso legibles",
+  "csv.willSkip.other": "se omitirán {count} filas sin fecha, ejercicio, repeticiones o peso legibles",
+  "csv.import": "Importar",
+  "csv.importFor": "Importar para {name}",
+  "csv.imported.one": "{count} sesión importada",
+  "csv.imported.other": "{count} sesiones importadas",
+  "csv.alreadyLogged": "{count} ya registradas",
+  "csv.unreadable.one": "{count} fila ilegible omitida",
+  "csv.unreadable.other": "{count} filas ilegibles omitidas",
+
+  "card.title": "Plan de la sesión",
+  "card.session": "Sesión {date}",
+
+  "workout.title": "Entrenamiento",
+  "workout.progress.one": "{done} / {count} serie",
+  "workout.progress.other": "{done} / {count} series",
+  "workout.exit": "Salir",
+  "workout.rest": "Descanso",
+  "workout.upNext": "Siguiente: {set}",
+  "workout.addRest": "+30 s",
+  "workout.skipRest": "Saltar descanso",
+  "workout.finished": "Sesión terminada",
+  "workout.finishedHelp": "Regístrala en la calculadora para mantener tu historial.",
+  "workout.backToCalculator": "Volver a la calculadora",
+  "workout.workingSet": "Serie efectiva",
+  "workout.done": "Hecho",
+  "workout.back": "Atrás",
+  "workout.next": "Siguiente"
+};
@@ -0,0 +1,311 @@
+// Nederlands
+export default {
+  "app.title": "Warming‑up- en werksetcalculator voor de hoofdoefeningen",
+  "app.language": "Taal",
+  "app.intro": "Plak {lastWeights}, kies hoe het voelde → wij stellen {thisWeek} voor. Warming‑up: kies een {protocol}; zwaardere dagen krijgen meer sets. De laatste warming‑upset zit {offset} de eerste werkset.",
+  "app.intro.lastWeights": "de werkgewichten van vorige week",
+  "app.intro.thisWeek": "deze week",
+  "app.intro.protocol": "protocol",
+  "app.intro.offset": "{lo}–{hi} {unit} onder",
+
+  "common.delete": "Verwijderen",
+  "common.edit": "Bewerken",
+  "common.clear": "Leegmaken",
+  "common.cancel": "Annuleren",
+  "common.or": "{a} of {b}",
+  "common.warmups": "warming‑up {list}",
+
+  "athletes.title": "Sporters",
+  "athletes.planningFor": "plan voor {name}",
+  "athletes.help": "Elke sporter bewaart eigen eenheid, stang, afronding, warming‑upverschil en protocol, ophogingstabellen en geschiedenis. Plan vandaag laadt dat allemaal, met de oefeningen van de laatste training.",
+  "athletes.me": "Ik",
+  "athletes.ownTraining": "(eigen training)",
+  "athletes.planToday": "Plan vandaag",
+  "athletes.lastSession": "laatste training {date}",
+  "athletes.noSessions": "nog geen trainingen",
+  "athletes.newName": "Naam nieuwe sporter",
+  "athletes.add": "Toevoegen met huidige instellingen",
+  "athletes.saveSettings": "Instellingen opslaan voor {name}",
+  "athletes.export": "Sporters exporteren",
+  "athletes.import": "Sporters importeren",
+  "athletes.confirmDelete": "{name} en alle gelogde trainingen verwijderen?",
+  "athletes.imported.one": "Geïmporteerd; de lijst heeft nu {count} sporter",
+  "athletes.imported.other": "Geïmporteerd; de lijst heeft nu {count} sporters",
+  "athletes.importFailed": "Importeren mislukt: {reason}",
+  "athletes.notJson": "geen JSON-bestand",
+  "athletes.notRoster": "geen export van een atletenlijst",
+  "athletes.newerVersion": "geëxporteerd door een nieuwere versie van de app",
+
+  "session.remove": "{lift} verwijderen",
+  "session.addLift": "+ Oefening toevoegen",
+
+  "lifts.squat": "Squat",
+  "lifts.bench": "Bankdrukken",
+  "lifts.deadlift": "Deadlift",
+  "lifts.front-squat": "Front squat",
+  "lifts.ssb-squat": "Safety bar squat",
+  "lifts.close-grip": "Bankdrukken smalle greep",
+  "lifts.ohp": "Overhead press",
+  "lifts.rdl": "Roemeense deadlift",
+  "lifts.trap-bar": "Trap bar deadlift",
+  "lifts.other": "Anders",
+
+  "form.lift": "Oefening",
+  "form.otherName": "Naam oefening, bijv. Front squat",
+  "form.seeded": "Nog geen trainingen voor {lift}: vorige week ingevuld op {pct}% van {parent}.",
+  "form.units": "Eenheid",
+  "form.planFrom": "Plannen vanuit",
+  "form.planLastWeek": "Vorige week + gevoel",
+  "form.planPercent": "% van training max",
+  "form.repsPattern": "Herhalingen werksets",
+  "form.lastWeights": "Gewichten vorige week ({unit})",
+  "form.oneRm": "1RM ({unit})",
+  "form.tmPct": "Training max %",
+  "form.estimate": "1RM schatten uit een set:",
+  "form.reps": "herh.",
+  "form.useEstimate": "Gebruik ≈ {weight} {unit}",
+  "form.percentSets": "Werksets (% van TM of {unit})",
+  "form.trainingMax": "Training max:",
+  "presets.531-week1": "5/3/1 week 1",
+  "presets.531-week2": "5/3/1 week 2",
+  "presets.531-week3": "5/3/1 week 3",
+  "presets.531-deload": "5/3/1 deload",
+  "presets.texas-volume": "Texas volume",
+  "presets.texas-recovery": "Texas herstel",
+  "presets.texas-intensity": "Texas intensiteit",
+
+  "equipment.sessionBar": "Stang voor de training",
+  "equipment.liftBar": "Stang voor {lift}",
+  "equipment.barWeight": "Gewicht stang ({unit})",
+  "equipment.rounding": "Afronding ({unit})",
+  "equipment.round": "Afronden",
+
+  "bars.olympic": "Olympische stang",
+  "bars.womens": "Damesstang",
+  "bars.technique": "Techniekstang",
+  "bars.ssb": "Safety squat bar",
+  "bars.trap": "Trap bar",
+  "bars.custom": "Eigen gewicht",
+
+  "rounding.nearest": "Dichtstbijzijnde",
+  "rounding.down": "Altijd omlaag",
+  "rounding.up": "Altijd omhoog",
+
+  "feel.title": "Hoe voelde het?",
+  "feel.capJump": "Sprong per week begrenzen op",
+  "feel.capJumpHint": "% boven vorige week",
+  "felt.easy": "licht",
+  "felt.solid": "goed",
+  "felt.hard": "zwaar",
+  "felt.missed": "gemist",
+
+  "progression.title": "Progressieregel",
+  "progression.by": "per {what}",
+  "rpe.lastReps": "Herhalingen vorige week",
+  "rpe.lastWeek": "Vorige week",
+  "rpe.formula": "e1RM-formule",
+  "rpe.target": "Doel-RPE (per set)",
+  "formulas.epley": "Epley",
+  "formulas.brzycki": "Brzycki",
+  "formulas.rpe": "RPE-tabel",
+
+  "warmups.protocol": "Warming‑upprotocol",
+  "warmups.superHeavy": "Extra zwaar vandaag (voegt een extra opbouwset toe)",
+  "warmups.offset": "Verschil laatste warming‑up",
+  "warmups.offsetHint": "{unit} onder de eerste werkset ({lo}–{hi})",
+  "protocols.gym": "Sportschoolstandaard",
+  "protocols.30-40-50": "30-40-50",
+  "protocols.40-50-60-70": "40-50-60-70",
+  "protocols.bar-30-50-70": "Stang-30-50-70",
+  "protocols.bar-only": "Alleen de stang",
+  "protocols.taper": "Aflopende herhalingen",
+
+  "templates.title": "Warming‑upsjablonen",
+  "templates.help": "Stappen zoals {bar}, {pct} (van de eerste werkset) of {last} (eerste werkset min het verschil).",
+  "templates.name": "Naam sjabloon",
+  "templates.save": "Sjabloon opslaan",
+  "templates.delete": "“{name}” verwijderen",
+
+  "catalogue.title": "Oefeningencatalogus",
+  "catalogue.help": "Elke oefening kan eigen ophogingen, een eigen stang en een eigen warming‑upprotocol hebben. Een oefening met een basisoefening en nog geen trainingen begint bij dat deel van de gewichten van de basisoefening.",
+  "catalogue.group.lower": "Onderlichaam",
+  "catalogue.group.upper": "Bovenlichaam",
+  "catalogue.sessionBar": "stang van de training",
+  "catalogue.usualWarmups": "gewone warming‑up",
+  "catalogue.usualWarmupsOption": "Gewone warming‑up",
+  "catalogue.steps": "stappen {steps} {unit}",
+  "catalogue.parent": "{pct}% van {parent}",
+  "catalogue.name": "Naam oefening",
+  "catalogue.groupDefault": "standaard groep",
+  "catalogue.seedFrom": "Afleiden van",
+  "catalogue.at": "op",
+  "catalogue.save": "Oefening opslaan",
+
+  "plates.title": "Schijven & sluitingen",
+  "plates.help": "Hoeveel schijven van elk gewicht je sportschool heeft (beide kanten samen). Gewichten die niet te laden zijn, worden gemarkeerd.",
+  "plates.collar": "Gewicht sluiting (per stuk)",
+  "plates.belowBar": "Lichter dan de lege stang",
+  "plates.collars": "Lichter dan de stang met sluitingen",
+  "plates.cantLoad": "Niet te laden met jouw schijven",
+  "plates.perSide": "per kant: {plates}",
+  "plates.strip": "eraf {plates}",
+  "plates.add": "erbij {plates}",
+
+  "loading.belowBar": "lichter dan de lege stang",
+  "loading.collars": "lichter dan de stang met sluitingen",
+  "loading.cantLoad": "niet te laden met jouw schijven",
+  "loading.perSide": "per kant {plates}",
+  "loading.emptyBar": "lege stang",
+
+  "output.suggested": "Voorgestelde werksets ({header})",
+  "output.enterScheme": "Voer een schema in zoals 5x75% om werksets te krijgen.",
+  "output.addWeights": "Vul de gewichten van vorige week in voor voorstellen.",
+  "output.rest": "rust {time}",
+  "output.autoWarmups": "Automatische warming‑up ({protocol})",
+  "output.noWarmups": "Vul vorige week + gevoel in om de warming‑up te zien.",
+
+  "notation.expectedReps": "herhalingen verwacht, bijv. 5 of 3x5",
+  "notation.wholeReps": "herhalingen moeten een heel getal zijn",
+  "notation.repsAfterX": "herhalingen verwacht na x",
+  "notation.useAtForLoads": "herhalingen moeten een heel getal zijn (gebruik @ voor gewichten, bijv. 3x5 @ 100kg)",
+  "notation.loadTwice": "gewicht twee keer opgegeven",
+  "notation.expectedLoad": "gewicht verwacht, zoals 100kg, 75%, top of -10%",
+  "notation.unexpected": "onverwachte “{char}”",
+  "notation.minReps": "minstens 1 herhaling",
+  "notation.noLoad": "geen gewicht voor deze sets; voeg er een toe, bijv. 5x75% of 3x5 @ 100kg",
+  "notation.topUnplanned": "“top” heeft hier geen gepland gewicht; gebruik een % of een gewicht zoals 100kg",
+  "notation.backoffFirst": "een back-off heeft een zwaardere set ervoor nodig",
+
+  "issues.ignored": "“{token}” is geen getal en wordt genegeerd",
+  "issues.noWeights": "Vul de werkgewichten van vorige week in; zonder die beginnen de sets bij de lege stang",
+  "issues.weightNotPositive": "Gewicht {set} ({weight}) moet boven 0 zijn",
+  "issues.weightUnderBar": "Gewicht {set} ({weight} {unit}) is lichter dan de stang van {bar} {unit}",
+  "issues.incBlank": "Leeg; telt als geen verandering",
+  "issues.dropAll": "Kan niet 100% of meer omlaag",
+  "issues.notNumber": "“{token}” is geen getal",
+  "issues.rpeRange": "RPE-doelen gaan van 5 tot 10",
+  "issues.lastReps": "Herhalingen van vorige week zijn onleesbaar, dus er is geen e1RM om mee te plannen",
+  "issues.oneRm": "Vul een 1RM boven 0 in; percentages van 0 zijn allemaal de lege stang",
+  "issues.tmPct": "Trainingsmax is meestal 50–100% van de 1RM",
+  "issues.wuOffsetBlank": "Leeg; {value} {unit} wordt gebruikt",
+  "issues.wuOffsetRange": "Moet {lo}–{hi} {unit} zijn; {value} wordt gebruikt",
+  "issues.maxJump": "Gebruik {lo}–{hi}%; geen limiet toegepast",
+
+  "notes.raisedToBar": "Set {set}: {weight} zou onder de stang van {bar} zitten, verhoogd naar de lege stang",
+  "notes.capped": "Set {set}: {weight} is meer dan {pct}% boven {last} van vorige week, begrensd op {limit}",
+  "notes.repeatLast.one": "{sets} sets maar {count} gewicht vorige week: latere sets herhalen {weight}",
+  "notes.repeatLast.other": "{sets} sets maar {count} gewichten vorige week: latere sets herhalen {weight}",
+  "notes.incBlank": "De stap voor “{felt}” is leeg, dus de gewichten blijven als vorige week",
+  "notes.wuOffsetBlank": "Verschil laatste warming‑up is leeg, {value} {unit} wordt gebruikt",
+  "notes.wuOffsetRange": "Verschil laatste warming‑up {value} {unit} valt buiten {lo}–{hi}, {used} wordt gebruikt",
+  "notes.noWeights": "Geen gewichten van vorige week, dus elke set is de lege stang",
+  "notes.noE1rm": "Geen e1RM uit de sets van vorige week, dus elke set is de lege stang",
+  "notes.noLoad": "Set {set} heeft geen gewicht; controleer de invoer hierboven",
+  "notes.aboveOneRm": "Set {set} ({weight} {unit}) is zwaarder dan je 1RM van {oneRM} {unit}",
+  "notes.aboveEstimatedOneRm": "Set {set} ({weight} {unit}) is zwaarder dan je geschatte 1RM van {oneRM} {unit}",
+
+  "today.title": "Training van vandaag",
+  "today.noSets": "Nog geen werksets.",
+  "sets.warmup": "Warming‑up",
+  "sets.work": "Werkset",
+
+  "export.copyText": "Tekst kopiëren",
+  "export.copyMarkdown": "Markdown kopiëren",
+  "export.savePng": "PNG opslaan",
+  "export.print": "Afdrukken",
+  "export.copyLink": "Link kopiëren",
+  "export.startWorkout": "Training starten",
+  "export.textCopied": "Tekst gekopieerd",
+  "export.markdownCopied": "Markdown gekopieerd",
+  "export.linkCopied": "Link gekopieerd",
+  "export.copyFailed": "Kopiëren mislukt",
+  "log.all": "Alle oefeningen loggen",
+  "log.one": "Deze training loggen",
+  "log.rating": "Hoe voelde {lift} vandaag?",
+
+  "block.title": "Trainingsblok",
+  "block.started": "Gestart op {date}",
+  "block.end": "Blok beëindigen",
+  "block.start": "Blok starten",
+  "block.template": "Sjabloon",
+  "block.weeks": "Weken",
+  "block.deload": "Deload",
+  "block.deloadPct": "Deloadgewicht %",
+  "block.templates.linear": "Lineair",
+  "block.templates.step": "Trapsgewijs",
+  "block.templates.wave": "Golf",
+  "block.templates.rpe": "RPE-opbouw",
+  "block.deloads.last": "Laatste week",
+  "block.deloads.every4": "Elke 4e week",
+  "block.deloads.none": "Geen deload",
+  "block.otherUnit": "Dit blok is gepland in {unit}; wissel van eenheid om het goed te lezen.",
+  "block.week": "Week {week}",
+  "block.deloadChip": "deload",
+  "block.adjusted": "({weight} {unit} na zwaar/gemist)",
+
+  "history.title": "Geschiedenis {lift}",
+  "history.empty": "Nog geen trainingen gelogd voor {lift}. Gelogde trainingen vullen de volgende keer vorige week in.",
+
+  "analytics.title": "Voortgang {lift}",
+  "analytics.stalledStreak.one": "Vastgelopen: de laatste {count} training voelde zwaar of was gemist.",
+  "analytics.stalledStreak.other": "Vastgelopen: de laatste {count} trainingen voelden zwaar of waren gemist.",
+  "analytics.stalledRecent": "Vastgelopen: {bad} van de laatste {count} trainingen voelden zwaar of waren gemist.",
+  "analytics.stallAdvice": "Overweeg een deload of een lichtere progressie.",
+  "analytics.top": "Topset",
+  "analytics.e1rm": "Geschatte 1RM",
+  "analytics.tonnage": "Tonnage (herh. × gewicht)",
+  "analytics.felt": "Hoe trainingen voelden",
+  "analytics.feltStrip": "Gevoel per training, oudste eerst",
+  "analytics.needTwo": "Log minstens twee trainingen om een trend te zien.",
+  "analytics.chartLabel": "{title}: {from} tot {to}",
+
+  "csv.title": "CSV importeren & exporteren",
+  "csv.help": "Importeer een log uit een spreadsheet of een trainingsapp (Strong, Hevy, FitNotes…). Kolommen worden op naam gekoppeld; pas hieronder aan wat niet klopt. De laatste training van elke oefening vult vorige week in.",
+  "csv.choose": "CSV kiezen…",
+  "csv.exportHistory": "Geschiedenis exporteren",
+  "csv.exportPlan": "Plan van vandaag exporteren",
+  "csv.rows.one": "{name}: {count} rij",
+  "csv.rows.other": "{name}: {count} rijen",
+  "csv.fields.date": "Datum",
+  "csv.fields.lift": "Oefening",
+  "csv.fields.set": "Set nr.",
+  "csv.fields.type": "Soort set",
+  "csv.fields.reps": "Herhalingen",
+  "csv.fields.weight": "Gewicht",
+  "csv.fields.rpe": "RPE",
+  "csv.fields.unit": "Eenheid",
+  "csv.fields.felt": "Gevoel",
+  "csv.column": "Kolom {n}",
+  "csv.unit": "Gewichten in (zonder eenheidskolom)",
+  "csv.pickColumn": "Kies een kolom voor {fields}.",
+  "csv.found.one": "{count} training gevonden",
+  "csv.found.other": "{count} trainingen gevonden",
+  "csv.willSkip.one": "{count} rij zonder leesbare datum, oefening, herhalingen of gewicht wordt overgeslagen",
+  "csv.willSkip.other": "{count} rijen zonder leesbare datum, oefening, herhalingen of gewicht worden overgeslagen",
+  "csv.import": "Importeren",
+  "csv.importFor": "Importeren voor {name}",
+  "csv.imported.one": "{count} training geïmporteerd",
+  "csv.imported.other": "{count} trainingen geïmporteerd",
+  "csv.alreadyLogged": "{count} al gelogd",
+  "csv.unreadable.one": "{count} onleesbare rij overgeslagen",
+  "csv.unreadable.other": "{count} onleesbare rijen overgeslagen",
+
+  "card.title": "Trainingsplan",
+  "card.session": "Training {date}",
+
+  "workout.title": "Training",
+  "workout.progress.one": "{done} / {count} set",
+  "workout.progress.other": "{done} / {count} sets",
+  "workout.exit": "Stoppen",
+  "workout.rest": "Rust",
+  "workout.upNext": "Volgende: {set}",
+  "workout.addRest": "+30 s",
+  "workout.skipRest": "Rust overslaan",
+  "workout.finished": "Training klaar",
+  "workout.finishedHelp": "Log hem in de calculator om je geschiedenis bij te houden.",
+  "workout.backToCalculator": "Terug naar de calculator",
+  "workout.workingSet": "Werkset",
+  "workout.done": "Klaar",
+  "workout.back": "Terug",
+  "workout.next": "Volgende"
+};
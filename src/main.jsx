@@ -1,5 +1,13 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
+// Inter, latin subsets only, bundled so the app looks the same offline
+import "@fontsource/inter/latin-400.css";
+import "@fontsource/inter/latin-600.css";
+import "@fontsource/inter/latin-700.css";
+import "@fontsource/inter/latin-ext-400.css";
+import "@fontsource/inter/latin-ext-600.css";
+import "@fontsource/inter/latin-ext-700.css";
+import "./index.css";
 import App from "./App.jsx";
 
 createRoot(document.getElementById("root")).render(
@@ -7,3 +15,8 @@ createRoot(document.getElementById("root")).render(
     <App />
   </React.StrictMode>
 );
+
+// Offline support; the worker is only emitted by `vite build`
+if (import.meta.env.PROD && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => navigator.serviceWorker.register("/sw.js"));
+}
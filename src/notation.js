@@ -0,0 +1,198 @@
+import { roundLoad } from "./equipment.js";
+import { convertWeight } from "./units.js";
+import { decimalSeparator } from "./i18n.js";
+
+// Working-set notation. Comma / semicolon / newline separated groups:
+//   3x5             3 sets of 5                     6-6-5      one set per listed rep count
+//   5+  / 3x5+      AMRAP (last set of the group)   5x75%      legacy: 5 reps at 75%
+//   @ 100kg / @ 100 explicit load                   @ 75%      % of the training max (or of the top set)
+//   @ top           the top set                     @ -10%  / @ -10kg   back-off from the top set
+//   rest 2m / r90s / r2:30   rest after each set of the group
+// e.g. "1x3 @ top, 3x5 @ -10% rest 2m", "5, 5, 5+", "3x5 @ 100kg"
+// In decimal-comma languages a load may be typed "62,5": a comma between digits is a decimal mark
+// there when the digits after it end the load (a unit, %, rest, or the end of the group after an @),
+// so "3x5 @ 62,5kg" is one group and "3x5@100,3x3@90" still two. Any other comma separates groups.
+//
+// parseWorkingSets -> { sets: [{ reps, amrap, load, rest, pos }], errors: [{ pos, key, values }] }
+// (error keys are "notation.*" messages, see locales/en.js)
+// load is null | { kind: "top" } | { kind: "abs", value, unit } | { kind: "pct", value } | { kind: "drop", value, percent, unit }
+// pos is where the set's group starts in the input, for errors found when resolving loads.
+
+const UNIT_RE = /^(kg|kgs|lb|lbs)\b/i;
+
+function parseGroup(text, offset) {
+  let i = 0;
+  const fail = (key, values = {}) => ({ error: { pos: offset + i, key, values } });
+  const ws = () => { while (i < text.length && /\s/.test(text[i])) i++; };
+  const peek = (re) => text.slice(i).match(re);
+  const number = () => {
+    const m = peek(/^\d+(?:\.\d+)?/);
+    if (!m) return null;
+    i += m[0].length;
+    return m[0];
+  };
+
+  ws();
+  const pos = offset + i;
+  // "6-6-5" rep lists
+  const list = peek(/^(\d+\s*-\s*)+\d+\s*$/);
+  if (list) {
+    return { sets: list[0].split("-").map((r) => ({ reps: parseInt(r, 10), amrap: false, load: null, rest: null, pos })) };
+  }
+
+  let count = 1;
+  let reps = number();
+  if (reps == null) return fail("notation.expectedReps");
+  if (reps.includes(".")) { i -= reps.length; return fail("notation.wholeReps"); }
+  let amrap = false;
+  let load = null;
+  ws();
+  if (text[i] === "+") { amrap = true; i++; ws(); }
+  if (/[xX×]/.test(text[i] ?? "")) {
+    i++;
+    ws();
+    const start = i;
+    const b = number();
+    if (b == null) return fail("notation.repsAfterX");
+    if (text[i] === "%") {
+      // legacy "5x75%": reps at a percentage
+      i++;
+      load = { kind: "pct", value: parseFloat(b) };
+    } else if (b.includes(".") || /^\s*(kg|lb)/i.test(text.slice(i))) {
+      i = start;
+      return fail("notation.useAtForLoads");
+    } else {
+      count = parseInt(reps, 10);
+      reps = b;
+    }
+    ws();
+    if (text[i] === "+") { amrap = true; i++; ws(); }
+  }
+
+  if (text[i] === "@") {
+    if (load) return fail("notation.loadTwice");
+    i++;
+    ws();
+    if (peek(/^top\b/i)) {
+      i += 3;
+      load = { kind: "top" };
+    } else {
+      const neg = text[i] === "-";
+      if (neg) { i++; ws(); }
+      const v = number();
+      if (v == null) return fail("notation.expectedLoad");
+      ws();
+      let unit = null;
+      let percent = false;
+      if (text[i] === "%") { percent = true; i++; } else {
+        const u = peek(UNIT_RE);
+        if (u) { unit = u[1].toLowerCase().startsWith("kg") ? "kg" : "lb"; i += u[0].length; }
+      }
+      const value = parseFloat(v);
+      if (neg) load = { kind: "drop", value, percent, unit };
+      else load = percent ? { kind: "pct", value } : { kind: "abs", value, unit };
+    }
+    ws();
+  }
+
+  let rest = null;
+  const r = peek(/^(?:rest|r)\s*(\d+)(?::(\d{2}))?\s*(s|sec|m|min)?\b/i);
+  if (r) {
+    i += r[0].length;
+    const main = parseInt(r[1], 10);
+    if (r[2] != null) rest = main * 60 + parseInt(r[2], 10);
+    else rest = /^m/i.test(r[3] ?? "") ? main * 60 : main;
+    ws();
+  }
+
+  if (i < text.length) return fail("notation.unexpected", { char: text[i] });
+  const n = parseInt(reps, 10);
+  if (!n) { i = 0; return fail("notation.minReps"); }
+  return {
+    sets: Array.from({ length: count }, (_, k) => ({ reps: n, amrap: amrap && k === count - 1, load, rest, pos }))
+  };
+}
+
+// "62,5" loads -> "62.5", keeping every position so errors still point at the typed input
+const decimalCommas = (text) =>
+  text
+    .replace(/(@\s*-?\s*\d+),(?=\d+\s*(?:r|[,;\n]|$))/gi, "$1.")
+    .replace(/(\d),(?=\d+\s*(?:%|kg|lb))/gi, "$1.");
+
+const commaLocale = (locale) => decimalSeparator(locale) === ",";
+
+// Re-types a pattern written in one language's number format for another (like relocalizeList
+// in i18n.js): "1x5 @ 62,5kg" <-> "1x5 @ 62.5kg". Group commas get a space after them in
+// decimal-comma languages so a load can't run into the next group.
+export function relocalizePattern(text, from, to) {
+  if (!text || commaLocale(from) === commaLocale(to)) return text;
+  if (commaLocale(from)) return decimalCommas(text);
+  return text.replace(/,(?=\S)/g, ", ").replace(/(\d)\.(?=\d)/g, "$1,");
+}
+
+export function parseWorkingSets(input, { locale = "en" } = {}) {
+  const sets = [];
+  const errors = [];
+  const text = commaLocale(locale) ? decimalCommas(input ?? "") : input ?? "";
+  const re = /[^,;\n]+/g;
+  let m;
+  while ((m = re.exec(text))) {
+    if (!m[0].trim()) continue;
+    const res = parseGroup(m[0], m.index);
+    if (res.error) errors.push(res.error);
+    else sets.push(...res.sets);
+  }
+  return { sets, errors };
+}
+
+// Loads for parsed sets -> { sets: [{ reps, amrap, rest, pct, weight }], errors: [{ pos, key, values }] }.
+// `planned(i)` is the planner's weight for set i (last-week progression), null in percent mode;
+// `tm` is the training max for % loads in percent mode. Back-offs and "top" refer to the latest
+// top set, or the first set when none is marked. A set whose load can't be worked out (no load
+// and nothing planned, "top" with nothing planned, a back-off from nothing) is left out and
+// reported at its group.
+export function resolveWorkingSets(sets, { planned, tm = 0, unit, loadOpts }) {
+  let top = null;
+  let prev = null;
+  const out = [];
+  const errors = [];
+  const fail = (s, key) => {
+    if (!errors.some((e) => e.pos === s.pos && e.key === key)) errors.push({ pos: s.pos, key, values: {} });
+  };
+  sets.forEach((s, i) => {
+    const { load } = s;
+    let weight;
+    if (!load) {
+      if (!planned) return fail(s, "notation.noLoad");
+      weight = planned(i);
+    } else if (load.kind === "top") {
+      if (!planned) return fail(s, "notation.topUnplanned");
+      weight = planned(i);
+    } else if (load.kind === "abs") {
+      weight = load.unit ? convertWeight(load.value, load.unit, unit) : load.value;
+    } else if (load.kind === "pct") {
+      weight = planned ? ((top ?? planned(0)) * load.value) / 100 : (tm * load.value) / 100;
+    } else {
+      const ref = top ?? prev ?? (planned ? planned(0) : null);
+      if (ref == null) return fail(s, "notation.backoffFirst");
+      const drop = load.percent ? (ref * load.value) / 100 : load.unit ? convertWeight(load.value, load.unit, unit) : load.value;
+      weight = ref - drop;
+    }
+    weight = roundLoad(weight, loadOpts);
+    if (load?.kind === "top" || top == null) top = weight;
+    prev = weight;
+    out.push({
+      reps: s.reps,
+      amrap: s.amrap,
+      rest: s.rest,
+      pct: load?.kind === "pct" ? load.value : null,
+      weight
+    });
+  });
+  return { sets: out, errors };
+}
+
+export const formatReps = (s) => `${s.reps}${s.amrap ? "+" : ""}`;
+
+// 90 -> "1:30"
+export const formatRest = (sec) => `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
@@ -0,0 +1,99 @@
+import { describe, it, expect } from "vitest";
+import { parseWorkingSets, resolveWorkingSets, relocalizePattern, formatRest } from "./notation.js";
+
+const loadOpts = { bar: 20, step: 2.5, mode: "nearest" };
+
+describe("parseWorkingSets", () => {
+  it("reads sets x reps, rep lists and legacy % tokens", () => {
+    expect(parseWorkingSets("3x5").sets).toHaveLength(3);
+    expect(parseWorkingSets("6-6-5").sets.map((s) => s.reps)).toEqual([6, 6, 5]);
+    expect(parseWorkingSets("5x75%").sets).toEqual([{ reps: 5, amrap: false, load: { kind: "pct", value: 75 }, rest: null, pos: 0 }]);
+    expect(parseWorkingSets("3x5@80%").sets.map((s) => s.load)).toEqual(Array(3).fill({ kind: "pct", value: 80 }));
+  });
+
+  it("marks AMRAP sets", () => {
+    expect(parseWorkingSets("5, 5, 5+").sets.map((s) => s.amrap)).toEqual([false, false, true]);
+    expect(parseWorkingSets("3x5+").sets.map((s) => s.amrap)).toEqual([false, false, true]);
+    expect(parseWorkingSets("1+x95%").sets[0]).toMatchObject({ reps: 1, amrap: true });
+  });
+
+  it("reads loads and rest", () => {
+    const { sets, errors } = parseWorkingSets("1x3 @ top, 3x5 @ -10% r90s, 3x5 @ 100kg rest 2:30, 1x8 @ -20 lb");
+    expect(errors).toEqual([]);
+    expect(sets[0].load).toEqual({ kind: "top" });
+    expect(sets[1]).toMatchObject({ load: { kind: "drop", value: 10, percent: true, unit: null }, rest: 90 });
+    expect(sets[4]).toMatchObject({ load: { kind: "abs", value: 100, unit: "kg" }, rest: 150 });
+    expect(sets[7].load).toEqual({ kind: "drop", value: 20, percent: false, unit: "lb" });
+  });
+
+  it("reads decimal-comma loads in nl / de", () => {
+    const nl = parseWorkingSets("3x5 @ 62,5kg, 1x5 @ -2,5 kg; 5x72,5%", { locale: "nl" });
+    expect(nl.errors).toEqual([]);
+    expect(nl.sets.map((s) => s.load.value)).toEqual([62.5, 62.5, 62.5, 2.5, 72.5]);
+    expect(parseWorkingSets("5, 5, 5+", { locale: "de" }).sets.map((s) => s.reps)).toEqual([5, 5, 5]);
+    expect(parseWorkingSets("3x5 @ 62,5kg").errors).toEqual([{ pos: 10, key: "notation.unexpected", values: { char: "k" } }]);
+  });
+
+  it("keeps group commas between sets in decimal-comma languages", () => {
+    const de = parseWorkingSets("3x5@100,3x3@90", { locale: "de" });
+    expect(de.errors).toEqual([]);
+    expect(de.sets.map((s) => s.load.value)).toEqual([100, 100, 100, 90, 90, 90]);
+    expect(parseWorkingSets("1x5 @ 62,5, 3x5 @ 60", { locale: "nl" }).sets.map((s) => s.load.value)).toEqual([62.5, 60, 60, 60]);
+  });
+
+  it("re-types patterns between number formats", () => {
+    const nl = "1x5 @ 62,5kg, 3x5 @ -10%";
+    const en = relocalizePattern(nl, "nl", "en");
+    expect(en).toBe("1x5 @ 62.5kg, 3x5 @ -10%");
+    expect(parseWorkingSets(en).errors).toEqual([]);
+    expect(relocalizePattern(en, "en", "de")).toBe(nl);
+    const back = relocalizePattern("3x5@62.5,3x3@90", "en", "es");
+    expect(parseWorkingSets(back, { locale: "es" }).sets.map((s) => s.load.value)).toEqual([62.5, 62.5, 62.5, 90, 90, 90]);
+    expect(relocalizePattern("3x6", "nl", "de")).toBe("3x6");
+  });
+
+  it("reports errors with their position in the whole input", () => {
+    expect(parseWorkingSets("3x5, 3x5 @").errors).toEqual([{ pos: 10, key: "notation.expectedLoad", values: {} }]);
+    expect(parseWorkingSets("3x5 fast").errors).toEqual([{ pos: 4, key: "notation.unexpected", values: { char: "f" } }]);
+    expect(parseWorkingSets("5x62.5").errors[0].pos).toBe(2);
+    expect(parseWorkingSets("").errors).toEqual([]);
+  });
+});
+
+describe("resolveWorkingSets", () => {
+  it("drops back-offs from the top set", () => {
+    const { sets } = parseWorkingSets("1x3 @ top, 1x5 @ -10%, 1x5 @ -15kg");
+    const out = resolveWorkingSets(sets, { planned: () => 150, unit: "kg", loadOpts }).sets;
+    expect(out.map((s) => s.weight)).toEqual([150, 135, 135]);
+  });
+
+  it("takes % loads from the training max without a planner", () => {
+    const { sets } = parseWorkingSets("5x65%, 5x75%, 5+x85%");
+    const out = resolveWorkingSets(sets, { planned: null, tm: 100, unit: "kg", loadOpts }).sets;
+    expect(out.map((s) => s.weight)).toEqual([65, 75, 85]);
+    expect(out[2].amrap).toBe(true);
+  });
+
+  it("converts explicit loads in the other unit", () => {
+    const { sets } = parseWorkingSets("1x5 @ 225lb");
+    expect(resolveWorkingSets(sets, { planned: () => 0, unit: "kg", loadOpts }).sets[0].weight).toBe(102.5);
+  });
+
+  it("reports sets with no load instead of planning the empty bar", () => {
+    const resolve = (input) => resolveWorkingSets(parseWorkingSets(input).sets, { planned: null, tm: 100, unit: "kg", loadOpts });
+    expect(resolve("5x75%, 5x100")).toEqual({
+      sets: [{ reps: 5, amrap: false, rest: null, pct: 75, weight: 75 }],
+      errors: [{ pos: 7, key: "notation.noLoad", values: {} }]
+    });
+    expect(resolve("1x3 @ top, 3x5 @ -10%").errors).toEqual([
+      { pos: 0, key: "notation.topUnplanned", values: {} },
+      { pos: 11, key: "notation.backoffFirst", values: {} }
+    ]);
+    expect(resolve("1x3 @ 90%, 3x5 @ -10%").sets.map((s) => s.weight)).toEqual([90, 80, 80, 80]);
+  });
+});
+
+it("formats rest as m:ss", () => {
+  expect(formatRest(90)).toBe("1:30");
+  expect(formatRest(180)).toBe("3:00");
+});
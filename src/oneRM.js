@@ -0,0 +1,42 @@
+// Estimated 1RM and reps@RPE load prescription.
+// RPE is handled as reps in reserve: a set of 5 @ RPE 8 counts as 7 reps to failure.
+
+// %1RM for a set taken to failure (RPE 10), by reps — the RTS RPE chart's top row.
+const RPE10_PCT = [100, 95.5, 92.2, 89.2, 86.3, 83.7, 81.1, 78.6, 76.2, 73.9, 70.7, 68.0, 65.3, 62.6, 59.9, 57.4];
+
+const repsToFailure = (reps, rpe = 10) => reps + Math.max(0, 10 - rpe);
+
+// %1RM for reps @ RPE; half RPE steps are interpolated between chart rows.
+export function rpePercent(reps, rpe = 10) {
+  const idx = Math.min(RPE10_PCT.length - 1, Math.max(0, repsToFailure(reps, rpe) - 1));
+  const lo = Math.floor(idx);
+  const hi = Math.min(RPE10_PCT.length - 1, lo + 1);
+  return RPE10_PCT[lo] + (RPE10_PCT[hi] - RPE10_PCT[lo]) * (idx - lo);
+}
+
+export const E1RM_FORMULAS = [
+  { id: "epley", name: "Epley" },
+  { id: "brzycki", name: "Brzycki" },
+  { id: "rpe", name: "RPE chart" }
+];
+
+// Estimated 1RM from weight × reps (@ RPE, default to failure).
+export function estimate1RM(weight, reps, rpe = 10, formula = "epley") {
+  if (!weight || !reps || reps < 1) return 0;
+  const r = repsToFailure(reps, rpe);
+  if (formula === "rpe") return (weight * 100) / rpePercent(reps, rpe);
+  if (formula === "brzycki") return r >= 37 ? 0 : (weight * 36) / (37 - r);
+  return r === 1 ? weight : weight * (1 + r / 30);
+}
+
+// Load for a target reps @ RPE given an e1RM — the inverse of estimate1RM.
+export function prescribeLoad(e1rm, reps, rpe = 10, formula = "epley") {
+  if (!e1rm || !reps || reps < 1) return 0;
+  const r = repsToFailure(reps, rpe);
+  if (formula === "rpe") return (e1rm * rpePercent(reps, rpe)) / 100;
+  if (formula === "brzycki") return (e1rm * Math.max(0, 37 - r)) / 36;
+  return r === 1 ? e1rm : e1rm / (1 + r / 30);
+}
+
+// Effort inputs may be RPE or RIR; everything downstream works in RPE.
+export const toRpe = (val, scale) => (scale === "rir" ? 10 - val : val);
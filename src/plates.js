@@ -0,0 +1,111 @@
+// Plate math: which plates go on each side, given what the gym actually owns.
+// Weights are scaled to integers internally so 1.25 / 0.5 plates never drift.
+
+export const DEFAULT_PLATES_KG = [
+  { weight: 25, count: 6 },
+  { weight: 20, count: 4 },
+  { weight: 15, count: 2 },
+  { weight: 10, count: 2 },
+  { weight: 5, count: 2 },
+  { weight: 2.5, count: 2 },
+  { weight: 1.25, count: 2 },
+  { weight: 1, count: 0 },
+  { weight: 0.5, count: 2 }
+];
+export const DEFAULT_PLATES_LB = [
+  { weight: 45, count: 8 },
+  { weight: 35, count: 2 },
+  { weight: 25, count: 2 },
+  { weight: 10, count: 4 },
+  { weight: 5, count: 2 },
+  { weight: 2.5, count: 2 },
+  { weight: 1.25, count: 0 }
+];
+export const DEFAULT_PLATES = { kg: DEFAULT_PLATES_KG, lb: DEFAULT_PLATES_LB };
+export const DEFAULT_COLLAR = 0; // spring clips; 2.5 kg / 5.5 lb for competition collars
+
+const MAX_OPTIONS = 24; // loading variants considered per total
+const toG = (w) => Math.round(w * 1000);
+
+// All ways to build `perSide` from the inventory (count = plates owned, so count/2 per side).
+// Each option is a stack, heaviest plate first (innermost on the sleeve).
+export function perSideOptions(perSide, inventory, limit = MAX_OPTIONS) {
+  const target = toG(perSide);
+  if (target < 0) return [];
+  if (target === 0) return [[]];
+  const plates = inventory
+    .filter((p) => p.weight > 0 && Math.floor(p.count / 2) > 0)
+    .map((p) => ({ g: toG(p.weight), weight: p.weight, perSide: Math.floor(p.count / 2) }))
+    .sort((a, b) => b.g - a.g);
+
+  const out = [];
+  const stack = [];
+  (function walk(i, rem) {
+    if (out.length >= limit) return;
+    if (rem === 0) { out.push(stack.slice()); return; }
+    if (i >= plates.length) return;
+    const p = plates[i];
+    const max = Math.min(p.perSide, Math.floor(rem / p.g));
+    for (let n = max; n >= 0; n--) {
+      for (let k = 0; k < n; k++) stack.push(p.weight);
+      walk(i + 1, rem - n * p.g);
+      stack.length -= n;
+      if (out.length >= limit) return;
+    }
+  })(0, target);
+  return out.sort((a, b) => a.length - b.length);
+}
+
+function diffStacks(prev, next) {
+  let common = 0;
+  while (common < prev.length && common < next.length && prev[common] === next[common]) common++;
+  return { remove: prev.slice(common).reverse(), add: next.slice(common) };
+}
+
+// Plate loading for a sequence of totals as they'll be lifted (warm-ups then working sets).
+// Picks, per total, the stack that keeps strip/add work between consecutive sets lowest.
+// Returns [{ total, perSide, plates, add, remove, error }] in the same order; error is
+// "below bar", "collars" (under bar + both collars) or "not loadable".
+export function planLoading(totals, { bar, collar = 0, inventory }) {
+  const candidates = totals.map((total) => {
+    const perSide = (total - bar) / 2 - collar;
+    if (toG(total) < toG(bar)) return { perSide, options: [], error: "below bar" };
+    if (toG(total) === toG(bar)) return { perSide: 0, options: [[]], error: null };
+    // Collars go on every loaded bar, so bar < total < bar + 2 collars can't be made
+    if (toG(perSide) < 0) return { perSide, options: [], error: "collars" };
+    const options = perSideOptions(perSide, inventory);
+    return { perSide, options, error: options.length ? null : "not loadable" };
+  });
+
+  // Viterbi over the options; an unloadable total resets to an empty bar.
+  let layer = [{ stack: [], cost: 0, path: [] }];
+  for (const c of candidates) {
+    if (!c.options.length) {
+      const best = layer.reduce((a, b) => (b.cost < a.cost ? b : a));
+      layer = [{ stack: [], cost: best.cost + best.stack.length, path: [...best.path, null] }];
+      continue;
+    }
+    layer = c.options.map((opt) => {
+      let best = null;
+      for (const prev of layer) {
+        const { remove, add } = diffStacks(prev.stack, opt);
+        const cost = prev.cost + remove.length + add.length;
+        if (!best || cost < best.cost) best = { stack: opt, cost, path: [...prev.path, opt] };
+      }
+      return best;
+    });
+  }
+  const chosen = layer.reduce((a, b) => (b.cost < a.cost || (b.cost === a.cost && b.stack.length < a.stack.length) ? b : a)).path;
+
+  let prev = [];
+  return totals.map((total, i) => {
+    const plates = chosen[i];
+    const { perSide, error = null } = candidates[i];
+    if (!plates) { prev = []; return { total, perSide, plates: null, add: [], remove: [], error }; }
+    const { remove, add } = diffStacks(prev, plates);
+    prev = plates;
+    return { total, perSide, plates, add, remove, error: null };
+  });
+}
+
+export const formatPlate = (w) => String(+w.toFixed(2));
@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { planLoading } from "./plates.js";
+import { roundLoad } from "./equipment.js";
+
+const inventory = [{ weight: 20, count: 2 }, { weight: 2.5, count: 2 }, { weight: 1.25, count: 2 }];
+
+describe("plate loading", () => {
+  it("counts collars on every loaded total but leaves them off the empty bar", () => {
+    const opts = { bar: 20, collar: 2.5, inventory };
+    const [under, bare, between, collars, loaded] = planLoading([17.5, 20, 22.5, 25, 27.5], opts);
+    expect(under.error).toBe("below bar");
+    expect(bare).toMatchObject({ error: null, plates: [] });
+    expect(between.error).toBe("collars");
+    expect(collars).toMatchObject({ error: null, plates: [] });
+    expect(loaded).toMatchObject({ error: null, plates: [1.25] });
+  });
+
+  it("loads the empty bar when there are no collars", () => {
+    expect(planLoading([20], { bar: 20, collar: 0, inventory })[0]).toMatchObject({ error: null, plates: [] });
+  });
+
+  it("rounds totals past the bar-plus-collars gap", () => {
+    const opts = { bar: 20, step: 2.5, mode: "nearest", collar: 2.5 };
+    expect(roundLoad(20, opts)).toBe(20);
+    expect(roundLoad(21, opts)).toBe(20);
+    expect(roundLoad(22.5, opts)).toBe(25);
+    expect(roundLoad(22.5, { ...opts, mode: "down" })).toBe(20);
+    expect(roundLoad(28, opts)).toBe(27.5);
+    expect(roundLoad(22.5, { ...opts, collar: 0 })).toBe(22.5);
+  });
+});
@@ -0,0 +1,121 @@
+import { loadHistory, replaceHistory } from "./history.js";
+import { loadList, saveJson, newId, downloadBlob } from "./storage.js";
+import { UNIT_DEFAULTS } from "./units.js";
+import { BAR_PROFILES, ROUNDING_STEPS, ROUNDING_MODES } from "./equipment.js";
+import { MAX_JUMP_RANGE } from "./guards.js";
+import { mergeShared } from "./shareState.js";
+
+// Athlete roster for coaches, kept in localStorage and moved between devices as a JSON file.
+// An athlete: { id, name, settings } where settings holds what the calculator should start
+// from for them: { unit, barId, customBar, rounding, roundingMode, wuOffset, warmupProtocol,
+// maxJumpPct, increments: { upper, lower }, pctInc }. Their sessions live in the history, tagged athleteId.
+
+const STORAGE_KEY = "lift-calculator.roster.v1";
+const EXPORT_VERSION = 1;
+
+export const loadRoster = () => loadList(STORAGE_KEY);
+
+const saveRoster = (list) => saveJson(STORAGE_KEY, list);
+
+export function addAthlete(name, settings) {
+  const athlete = { id: newId(), name: name.trim(), settings };
+  saveRoster([...loadRoster(), athlete]);
+  return athlete;
+}
+
+export function updateAthlete(id, patch) {
+  return saveRoster(loadRoster().map((a) => (a.id === id ? { ...a, ...patch } : a)));
+}
+
+// Removes the athlete and their sessions
+export function deleteAthlete(id) {
+  replaceHistory(loadHistory().filter((s) => s.athleteId !== id));
+  return saveRoster(loadRoster().filter((a) => a.id !== id));
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+const FEELS = ["easy", "solid", "hard", "missed"];
+
+// v when it's a number in [lo, hi], else the fallback
+const inRange = (v, lo, hi, fallback) => (Number.isFinite(v) && v >= lo && v <= hi ? v : fallback);
+
+// Increment table with each felt rating checked against the default's
+const incTable = (table, defaults, min) =>
+  Object.fromEntries(FEELS.map((f) => [f, inRange(isObject(table) ? table[f] : undefined, min, Infinity, defaults[f])]));
+
+// Settings from an older or hand-edited file: fields of the wrong type or out of range are
+// replaced, and missing ones filled in, from the unit's defaults; null when the unit isn't kg or lb
+export function normalizeSettings(settings) {
+  const s = isObject(settings) ? settings : {};
+  const unit = s.unit ?? "kg";
+  const d = UNIT_DEFAULTS[unit];
+  if (!d) return null;
+  const defaults = {
+    barId: "olympic",
+    customBar: unit === "kg" ? 20 : 45,
+    rounding: d.rounding,
+    roundingMode: "nearest",
+    wuOffset: d.wuOffset,
+    maxJumpPct: 10,
+    warmupProtocol: "gym"
+  };
+  const m = mergeShared(defaults, s);
+  const [lo, hi] = d.wuOffsetRange;
+  return {
+    ...m,
+    unit,
+    barId: BAR_PROFILES.some((b) => b.id === m.barId) ? m.barId : defaults.barId,
+    customBar: inRange(m.customBar, 0.5, Infinity, defaults.customBar),
+    rounding: ROUNDING_STEPS[unit].includes(m.rounding) ? m.rounding : defaults.rounding,
+    roundingMode: ROUNDING_MODES.some((r) => r.id === m.roundingMode) ? m.roundingMode : defaults.roundingMode,
+    wuOffset: inRange(m.wuOffset, lo, hi, defaults.wuOffset),
+    maxJumpPct: s.maxJumpPct === null ? null : inRange(m.maxJumpPct, MAX_JUMP_RANGE[0], MAX_JUMP_RANGE[1], defaults.maxJumpPct),
+    increments: {
+      upper: incTable(s.increments?.upper, d.increments.upper, -Infinity),
+      lower: incTable(s.increments?.lower, d.increments.lower, -Infinity)
+    },
+    pctInc: incTable(s.pctInc, { easy: 5, solid: 2.5, hard: 0, missed: -2.5 }, -99)
+  };
+}
+
+export function exportRoster() {
+  const athletes = loadRoster();
+  const ids = new Set(athletes.map((a) => a.id));
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    athletes,
+    sessions: loadHistory().filter((s) => ids.has(s.athleteId))
+  }, null, 2);
+}
+
+// Merges an exported file: athletes and sessions with the same id are replaced.
+// Returns { athletes, history } as stored afterwards; throws on files that aren't a roster,
+// with an "athletes.*" message key (see locales/en.js) as the error message.
+export function importRoster(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("athletes.notJson");
+  }
+  if (!data || !Array.isArray(data.athletes) || typeof data.version !== "number") {
+    throw new Error("athletes.notRoster");
+  }
+  if (data.version > EXPORT_VERSION) throw new Error("athletes.newerVersion");
+  const athletes = data.athletes
+    .filter((a) => a && a.id && a.name)
+    .map((a) => ({ ...a, settings: normalizeSettings(a.settings) }));
+  if (athletes.some((a) => !a.settings)) throw new Error("athletes.notRoster");
+  const sessions = (data.sessions ?? []).filter((s) => s && s.id && s.lift && Array.isArray(s.sets));
+
+  const athleteIds = new Set(athletes.map((a) => a.id));
+  const sessionIds = new Set(sessions.map((s) => s.id));
+  return {
+    athletes: saveRoster([...loadRoster().filter((a) => !athleteIds.has(a.id)), ...athletes]),
+    history: replaceHistory([...loadHistory().filter((s) => !sessionIds.has(s.id)), ...sessions])
+  };
+}
+
+export const downloadJson = (text, filename) => downloadBlob(new Blob([text], { type: "application/json" }), filename);
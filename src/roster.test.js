@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import { importRoster, normalizeSettings } from "./roster.js";
+
+const file = (athletes) => JSON.stringify({ version: 1, athletes, sessions: [] });
+
+describe("roster import", () => {
+  it("fills in settings an older file leaves out", () => {
+    const { athletes } = importRoster(file([{ id: "a1", name: "Sam" }, { id: "a2", name: "Kit", settings: { unit: "lb", wuOffset: 20 } }]));
+    expect(athletes[0].settings).toMatchObject({ unit: "kg", rounding: 2.5, pctInc: { solid: 2.5 }, increments: { lower: { easy: 5 } } });
+    expect(athletes[1].settings).toMatchObject({ unit: "lb", rounding: 5, wuOffset: 20, increments: { upper: { easy: 5 } } });
+  });
+
+  it("replaces hand-edited values of the wrong type or out of range", () => {
+    const settings = normalizeSettings({
+      unit: "kg",
+      rounding: "abc",
+      roundingMode: "sideways",
+      barId: 7,
+      customBar: -5,
+      wuOffset: 40,
+      maxJumpPct: "10",
+      increments: { upper: { easy: "lots", solid: 2 } },
+      pctInc: { missed: -150 }
+    });
+    expect(settings).toMatchObject({ rounding: 2.5, roundingMode: "nearest", barId: "olympic", customBar: 20, wuOffset: 7.5, maxJumpPct: 10 });
+    expect(settings.increments.upper).toEqual({ easy: 2.5, solid: 2, hard: 0, missed: -1.25 });
+    expect(settings.pctInc.missed).toBe(-2.5);
+    expect(normalizeSettings({ unit: "lb", rounding: 10, barId: "trap", maxJumpPct: null })).toMatchObject({ rounding: 10, barId: "trap", maxJumpPct: null });
+  });
+
+  it("throws message keys for files that aren't a roster", () => {
+    expect(() => importRoster("{")).toThrow("athletes.notJson");
+    expect(() => importRoster("{}")).toThrow("athletes.notRoster");
+    expect(() => importRoster(JSON.stringify({ version: 99, athletes: [] }))).toThrow("athletes.newerVersion");
+  });
+
+  it("rejects athletes in an unknown unit", () => {
+    expect(normalizeSettings({ unit: "stone" })).toBeNull();
+    expect(() => importRoster(file([{ id: "a1", name: "Sam", settings: { unit: "stone" } }]))).toThrow("athletes.notRoster");
+  });
+});
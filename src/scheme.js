@@ -0,0 +1,14 @@
+// Training max from a 1RM and a TM percentage (e.g. 90).
+export const trainingMax = (oneRM, tmPct) => ((oneRM || 0) * (tmPct || 0)) / 100;
+
+// Named percent schemes in working-set notation (see notation.js), loads from the training max.
+// Shown as "presets.<id>" in the UI language.
+export const PERCENT_PRESETS = [
+  { id: "531-week1", name: "5/3/1 week 1", scheme: "5x65%, 5x75%, 5+x85%" },
+  { id: "531-week2", name: "5/3/1 week 2", scheme: "3x70%, 3x80%, 3+x90%" },
+  { id: "531-week3", name: "5/3/1 week 3", scheme: "5x75%, 3x85%, 1+x95%" },
+  { id: "531-deload", name: "5/3/1 deload", scheme: "5x40%, 5x50%, 5x60%" },
+  { id: "texas-volume", name: "Texas volume", scheme: "5x5@90%" },
+  { id: "texas-recovery", name: "Texas recovery", scheme: "2x5@72%" },
+  { id: "texas-intensity", name: "Texas intensity", scheme: "1x5@100%" }
+];
@@ -0,0 +1,58 @@
+// Calculator state in the URL hash ("#s=<base64url JSON>"), so a plan survives reloads
+// and can be sent as a link. Every payload carries its schema version `v`; when the shape
+// changes, bump SHARE_VERSION and add a migration from the previous version so old links
+// still open.
+
+export const SHARE_VERSION = 1;
+const PARAM = "s";
+
+// MIGRATIONS[n] upgrades a version n payload to version n + 1
+const MIGRATIONS = {};
+
+const toBase64Url = (text) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(text))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+const fromBase64Url = (b64) => {
+  const bin = atob(b64.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+};
+
+export const encodeShareState = (state) => `${PARAM}=${toBase64Url(JSON.stringify({ v: SHARE_VERSION, ...state }))}`;
+
+// Hash or query string -> the state at the current version, or null when missing / unreadable /
+// from a newer app
+export function decodeShareState(hash) {
+  const raw = new URLSearchParams((hash ?? "").replace(/^[#?]/, "")).get(PARAM);
+  if (!raw) return null;
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(raw));
+  } catch {
+    return null;
+  }
+  if (!data || typeof data !== "object" || !Number.isInteger(data.v) || data.v > SHARE_VERSION) return null;
+  for (let v = data.v; v < SHARE_VERSION; v++) {
+    if (!MIGRATIONS[v]) return null;
+    data = MIGRATIONS[v](data);
+  }
+  const { v, ...state } = data;
+  return state;
+}
+
+// Copies the keys of `data` whose type matches the default in `base`, so a hand-edited
+// or truncated link can't put a string where a number belongs
+export function mergeShared(base, data) {
+  const out = { ...base };
+  if (!data || typeof data !== "object") return out;
+  for (const key of Object.keys(base)) {
+    const value = data[key];
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(base[key]) !== Array.isArray(value) || typeof value !== typeof base[key]) continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+export const readShareState = () => (typeof window === "undefined" ? null : decodeShareState(window.location.hash));
+
+export const shareUrl = (state) => `${window.location.origin}${window.location.pathname}#${encodeShareState(state)}`;
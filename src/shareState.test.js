@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { SHARE_VERSION, encodeShareState, decodeShareState, mergeShared } from "./shareState.js";
+
+const state = {
+  unit: "kg",
+  wuOffset: 7.5,
+  entries: [{ lift: "Squat", quickRepsPattern: "3x5 @ -10%", lastWeekWeights: "100, 90", felt: "solid", kgInc: { easy: 5, solid: 2.5, hard: 0, missed: -2.5 }, superHeavy: true }]
+};
+
+const hashOf = (data) => `#s=${Buffer.from(JSON.stringify(data)).toString("base64url")}`;
+
+describe("share state", () => {
+  it("round-trips through the hash, including non-ASCII text", () => {
+    const withName = { ...state, entries: [{ ...state.entries[0], lift: "Other", name: "Kniebeuge × pause" }] };
+    expect(decodeShareState(`#${encodeShareState(withName)}`)).toEqual(withName);
+    expect(decodeShareState(`?${encodeShareState(state)}`)).toEqual(state);
+  });
+
+  it("tags the payload with the schema version", () => {
+    const raw = encodeShareState(state).slice(2);
+    expect(JSON.parse(Buffer.from(raw, "base64url").toString())).toMatchObject({ v: SHARE_VERSION });
+  });
+
+  it("ignores missing, garbled, unversioned and newer payloads", () => {
+    expect(decodeShareState("")).toBeNull();
+    expect(decodeShareState("#s=%%%")).toBeNull();
+    expect(decodeShareState(hashOf({ unit: "kg" }))).toBeNull();
+    expect(decodeShareState(hashOf({ v: SHARE_VERSION + 1, unit: "kg" }))).toBeNull();
+  });
+});
+
+describe("mergeShared", () => {
+  it("keeps defaults for missing or mistyped fields", () => {
+    const base = { unit: "kg", wuOffset: 7.5, superHeavy: false, kgInc: { solid: 2.5 }, plates: [] };
+    expect(mergeShared(base, { wuOffset: "10", superHeavy: true, kgInc: [1], plates: [{ weight: 20, count: 2 }], extra: 1 }))
+      .toEqual({ unit: "kg", wuOffset: 7.5, superHeavy: true, kgInc: { solid: 2.5 }, plates: [{ weight: 20, count: 2 }] });
+    expect(mergeShared(base, null)).toEqual(base);
+  });
+});
@@ -0,0 +1,41 @@
+// Browser-side persistence: localStorage for history, roster, block, lift catalogue and warm-up
+// templates, and files saved through a download link. Reads fall back when storage is disabled
+// or holds something unreadable; a write that fails (storage full or disabled) just doesn't
+// persist, and the value is returned anyway.
+
+export function loadJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key) ?? "null") ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function loadList(key) {
+  const list = loadJson(key, []);
+  return Array.isArray(list) ? list : [];
+}
+
+// null / undefined removes the key
+export function saveJson(key, value) {
+  try {
+    if (value == null) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage full or disabled
+  }
+  return value;
+}
+
+// Id for a stored record (session, athlete, entry)
+export const newId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Saves a Blob as a file through a temporary link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
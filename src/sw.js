@@ -0,0 +1,29 @@
+// Service worker: precaches the built app so it opens with no signal.
+// vite.config.js fills in PRECACHE and VERSION at build time.
+const PRECACHE = __PRECACHE__;
+const CACHE = `lift-calculator-${__VERSION__}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("lift-calculator-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  // Pages: network first so deploys show up, the cached shell when offline
+  if (request.mode === "navigate") {
+    event.respondWith(fetch(request).catch(() => caches.match("/", { cacheName: CACHE })));
+    return;
+  }
+  // Hashed assets never change: cache first
+  event.respondWith(caches.match(request, { cacheName: CACHE }).then((hit) => hit ?? fetch(request)));
+});
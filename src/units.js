@@ -0,0 +1,43 @@
+// Unit conversion and the per-unit defaults (kg gyms and lb gyms load differently,
+// so defaults are picked per unit rather than converted).
+
+export const LB_PER_KG = 2.20462;
+
+export function convertWeight(val, from, to) {
+  if (from === to || isNaN(val)) return val;
+  return to === "lb" ? val * LB_PER_KG : val / LB_PER_KG;
+}
+
+export const UNIT_DEFAULTS = {
+  kg: {
+    rounding: 2.5,
+    wuOffset: 7.5,
+    wuOffsetRange: [5, 10],
+    wuMaxJump: 40, // biggest warm-up jump before an extra set is added
+    increments: {
+      upper: { easy: 2.5, solid: 1.25, hard: 0, missed: -1.25 },
+      lower: { easy: 5, solid: 2.5, hard: 0, missed: -2.5 }
+    }
+  },
+  lb: {
+    rounding: 5,
+    wuOffset: 15,
+    wuOffsetRange: [10, 20],
+    wuMaxJump: 90,
+    increments: {
+      upper: { easy: 5, solid: 2.5, hard: 0, missed: -2.5 },
+      lower: { easy: 10, solid: 5, hard: 0, missed: -5 }
+    }
+  }
+};
+
+// Re-expresses a typed list ("60, 62.5, 65") in the other unit, to the nearest 0.5
+export function convertWeightList(text, from, to) {
+  if (from === to) return text;
+  return text
+    .split(/[\n,]+/)
+    .map((s) => parseFloat(s.trim()))
+    .filter((n) => !isNaN(n))
+    .map((n) => String(Math.round(convertWeight(n, from, to) * 2) / 2))
+    .join(", ");
+}
@@ -0,0 +1,86 @@
+import { roundLoad } from "./equipment.js";
+import { loadList, saveJson } from "./storage.js";
+
+// Warm-up protocols. A protocol is a list of steps, written like working-set tokens:
+//   "10@bar"  empty bar          "5@40%"  % of the first working set
+//   "1@last"  first working set minus the last warm-up offset
+export const BUILT_IN_PROTOCOLS = [
+  { id: "gym", name: "Gym standard", steps: "5@40%, 3@60%, 1@last" },
+  { id: "30-40-50", name: "30-40-50", steps: "5@30%, 4@40%, 3@50%" },
+  { id: "40-50-60-70", name: "40-50-60-70", steps: "5@40%, 4@50%, 3@60%, 2@70%" },
+  { id: "bar-30-50-70", name: "Bar-30-50-70", steps: "8@bar, 5@30%, 3@50%, 1@70%" },
+  { id: "bar-only", name: "Bar only", steps: "10@bar, 10@bar" },
+  { id: "taper", name: "Rep taper", steps: "10@bar, 8@40%, 5@55%, 3@70%, 2@80%, 1@90%" }
+];
+
+const STORAGE_KEY = "lift-calculator.warmups.v1";
+
+export const loadCustomProtocols = () => loadList(STORAGE_KEY);
+
+const saveCustomProtocols = (list) => saveJson(STORAGE_KEY, list);
+
+// Saving under an existing name replaces that template
+export function saveCustomProtocol(name, steps) {
+  const id = `custom:${name.trim().toLowerCase()}`;
+  const rest = loadCustomProtocols().filter((p) => p.id !== id);
+  return saveCustomProtocols([...rest, { id, name: name.trim(), steps, custom: true }]);
+}
+
+export function deleteCustomProtocol(id) {
+  return saveCustomProtocols(loadCustomProtocols().filter((p) => p.id !== id));
+}
+
+// "5@40%, 1@last" -> [{ reps: 5, pct: 40 }, { reps: 1, last: true }]; bad tokens are dropped
+export function parseProtocol(steps) {
+  return steps
+    .split(/[\n,]+/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((tok) => {
+      const m = tok.match(/^(\d+)\s*[xX@]\s*(bar|last|\d+(?:\.\d+)?\s*%)$/i);
+      if (!m) return null;
+      const reps = parseInt(m[1], 10);
+      const target = m[2].toLowerCase();
+      if (target === "bar") return { reps, bar: true };
+      if (target === "last") return { reps, last: true };
+      return { reps, pct: parseFloat(target) };
+    })
+    .filter(Boolean);
+}
+
+// Warm-ups for a first working set. Steps at or above the working weight are dropped and
+// different steps that round to the same load are merged, so light days get fewer sets; jumps
+// bigger than maxJump (or 20% of the working weight) are bridged, so heavy days get more. A
+// protocol of bar steps only stays on the bar. Reps never go up from one warm-up to the next bridge.
+export function generateWarmups(firstSet, steps, { isHeavy, offset, loadOpts, maxJump }) {
+  if (!firstSet) return [];
+  const target = (s) => (s.bar ? "bar" : s.last ? "last" : `${s.pct}%`);
+  const seq = steps
+    .map((s) => ({
+      reps: s.reps,
+      target: target(s),
+      weight: s.bar ? loadOpts.bar : roundLoad(s.last ? firstSet - offset : (firstSet * s.pct) / 100, loadOpts)
+    }));
+  if (isHeavy) seq.push({ reps: 1, target: "heavy", weight: roundLoad(firstSet * 0.82, loadOpts) });
+
+  const sorted = seq
+    .filter((s) => s.weight < firstSet)
+    .sort((a, b) => a.weight - b.weight)
+    .filter((s, i, arr) => i === 0 || s.weight !== arr[i - 1].weight || s.target === arr[i - 1].target);
+
+  const barOnly = steps.length > 0 && steps.every((s) => s.bar);
+  const jump = Math.max(maxJump, firstSet * 0.2);
+  for (let guard = 0; guard < 6 && !barOnly; guard++) {
+    const loads = [...sorted.map((s) => s.weight), firstSet];
+    const i = loads.findIndex((w, k) => k > 0 && w - loads[k - 1] > jump);
+    if (i < 1) break;
+    const weight = roundLoad((loads[i] + loads[i - 1]) / 2, loadOpts);
+    if (weight <= loads[i - 1] || weight >= loads[i]) break;
+    // Between the reps either side: one fewer than the set before (at most 3), never more than it
+    const before = sorted[i - 1].reps;
+    const after = sorted[i]?.reps ?? 1;
+    const reps = Math.max(1, Math.min(before, Math.max(after, Math.min(3, before - 1))));
+    sorted.splice(i, 0, { reps, target: "bridge", weight });
+  }
+  return sorted.map(({ reps, weight }) => ({ reps, weight }));
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { BUILT_IN_PROTOCOLS, parseProtocol, generateWarmups } from "./warmups.js";
+
+const loadOpts = { bar: 20, step: 2.5, mode: "nearest" };
+const opts = { isHeavy: false, offset: 5, loadOpts, maxJump: 20 };
+const stepsOf = (id) => parseProtocol(BUILT_IN_PROTOCOLS.find((p) => p.id === id).steps);
+const repsOf = (sets) => sets.map((s) => s.reps);
+const weightsOf = (sets) => sets.map((s) => s.weight);
+
+describe("parseProtocol", () => {
+  it("reads bar, last and % steps and drops bad tokens", () => {
+    expect(parseProtocol("10@bar, 5x40%, 1 @ last\n3@62.5%, heavy, 2@")).toEqual([
+      { reps: 10, bar: true },
+      { reps: 5, pct: 40 },
+      { reps: 1, last: true },
+      { reps: 3, pct: 62.5 }
+    ]);
+  });
+});
+
+describe("generateWarmups", () => {
+  it("drops steps at or above a light working set and merges steps that land on one load", () => {
+    expect(generateWarmups(40, stepsOf("bar-30-50-70"), opts)).toEqual([{ reps: 8, weight: 20 }, { reps: 1, weight: 27.5 }]);
+    expect(generateWarmups(20, stepsOf("gym"), opts)).toEqual([]);
+  });
+
+  it("keeps repeated steps of the same kind", () => {
+    expect(generateWarmups(100, stepsOf("bar-only"), opts)).toEqual([{ reps: 10, weight: 20 }, { reps: 10, weight: 20 }]);
+  });
+
+  it("doesn't bridge a bar-only protocol on a heavy day", () => {
+    expect(weightsOf(generateWarmups(200, stepsOf("bar-only"), opts))).toEqual([20, 20]);
+  });
+
+  it("adds a heavy ramp and bridges big jumps with reps that never go up", () => {
+    const light = generateWarmups(200, stepsOf("gym"), opts);
+    const heavy = generateWarmups(200, stepsOf("gym"), { ...opts, isHeavy: true });
+    expect(heavy.length).toBeGreaterThan(light.length);
+    expect(weightsOf(heavy)).toContain(165);
+    for (const sets of [light, heavy, generateWarmups(200, stepsOf("bar-30-50-70"), opts)]) {
+      const reps = repsOf(sets);
+      expect(reps).toEqual([...reps].sort((a, b) => b - a));
+      const loads = [...weightsOf(sets), 200];
+      expect(loads.every((w, i) => i === 0 || w - loads[i - 1] <= 40)).toBe(true);
+    }
+  });
+});
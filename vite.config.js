@@ -1,2 +1,27 @@
 import { defineConfig } from "vite";
-export default defineConfig({});
+import { createHash } from "node:crypto";
+import { readFile, readdir } from "node:fs/promises";
+
+// Emits sw.js with every built and public file precached, versioned by their names
+// (asset names carry content hashes, so any change makes a new cache).
+function serviceWorker() {
+  return {
+    name: "lift-calculator-sw",
+    apply: "build",
+    async generateBundle(_, bundle) {
+      const publicFiles = await readdir(new URL("./public", import.meta.url));
+      const files = ["/", ...[...Object.keys(bundle), ...publicFiles].map((f) => `/${f}`)];
+      const version = createHash("sha256").update(files.join("\n")).digest("hex").slice(0, 12);
+      const source = await readFile(new URL("./src/sw.js", import.meta.url), "utf8");
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: source.replace("__PRECACHE__", JSON.stringify(files)).replace("__VERSION__", JSON.stringify(version))
+      });
+    }
+  };
+}
+
+export default defineConfig({
+  plugins: [serviceWorker()]
+});